@@ -1,142 +1,1271 @@
 #!/usr/bin/env node
 
-import chalk from 'chalk';
+import fs from 'fs';
+import boxen from 'boxen';
+import Table from 'cli-table3';
+import cliProgress from 'cli-progress';
 import figlet from 'figlet';
-import gradient from 'gradient-string';
-import { Command } from 'commander';
+import inquirer from 'inquirer';
+import { Command, Option } from 'commander';
 
 
+import { APPROVAL_ANSWERS, ToolApprovals, getToolPolicyPath, promptApproval, readToolPolicy } from '../lib/approvals.js';
+import { credentialKey, getCredentialsPath, removeToken, saveToken } from '../lib/auth.js';
 import { BrainClient } from '../lib/brain-client.js';
 import { InteractiveMode } from '../lib/interactive-mode.js';
+import { Dashboard } from '../lib/dashboard.js';
+import { Notifications } from '../lib/notifications.js';
+import {
+  CONFIG_KEYS,
+  isConfigKey,
+  loadConfig,
+  resolveConfig,
+  setConfigValue,
+  unsetConfigValue,
+  getUserConfigPath,
+  getProjectConfigPath
+} from '../lib/config.js';
+import { OUTPUT_FORMATS, SILENT_OUTPUT, printResult, printToolDescription, reportError } from '../lib/output.js';
+import {
+  buildArgumentPrompts,
+  compactArguments,
+  getToolSchema,
+  searchTools,
+  toolExamples,
+  validateArguments
+} from '../lib/tools.js';
+import {
+  askInConversation,
+  createConversation,
+  deleteConversation,
+  getLatestConversation,
+  listConversations,
+  loadConversation
+} from '../lib/history.js';
 
-import { showWelcome, handleError } from '../lib/utils.js';
+import { loadManifest, planApply } from '../lib/manifest.js';
+import { StatusMonitor, renderStatus, unhealthyServers } from '../lib/status.js';
+import { detectBatchFormat, parseBatchInput, readCompletedIds, readStdin, runBatch } from '../lib/batch.js';
+import { DEFAULT_MOCK_PORT, MockBrainServer, loadFixtures } from '../lib/mock-server.js';
+import { Logger } from '../lib/logger.js';
+import { CAPABILITIES } from '../lib/protocol.js';
+import { SessionRecorder, loadRecording, replayRecording } from '../lib/recorder.js';
+import { DEFAULT_THEME, applyTheme, colorDisabled, theme } from '../lib/theme.js';
+import { QueryTrace, saveTrace } from '../lib/trace.js';
+import {
+  showWelcome,
+  handleError,
+  truncate,
+  getTerminalWidth,
+  parseServerConfig,
+  sleep
+} from '../lib/utils.js';
+
+// Exit codes for one-shot commands
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_CONNECTION_FAILED = 2;
+
+let config;
+// Trusted settings the project config file tried to set
+let ignoredSettings = [];
+
+try {
+  ({ values: config, ignored: ignoredSettings } = resolveConfig());
+} catch (error) {
+  handleError('Invalid configuration', error);
+  process.exit(EXIT_FAILURE);
+}
 
 const program = new Command();
-const brainClient = new BrainClient();
-
-console.log(
-  gradient.retro.multiline(
-    figlet.textSync('Brain Surf CLI', {
-      font: 'ANSI Shadow',
-      horizontalLayout: 'default',
-      verticalLayout: 'default'
-    })
-  )
-);
+const logger = new Logger();
+const brainClient = new BrainClient({ config, logger });
+const notifications = new Notifications(brainClient).attach();
+
+function outputFormat() {
+  return program.opts().output;
+}
+
+// --no-color and NO_COLOR win over the theme; a broken theme falls back to the default
+function useTheme() {
+  const color = program.opts().color !== false && !colorDisabled();
+
+  try {
+    applyTheme(config.colorTheme, { color });
+  } catch (error) {
+    applyTheme(DEFAULT_THEME, { color });
+    console.error(theme.warning(`${theme.icon('warning')}${error.message}; using ${DEFAULT_THEME}`));
+  }
+}
+
+// --debug and --log-file win over DEBUG_MODE and CLI_LOG_FILE
+function useLogger() {
+  const { debug, logFile } = program.opts();
+  const options = {
+    debug: Boolean(debug || config.debug),
+    file: logFile || config.logFile || null,
+    maxSize: config.logMaxSize
+  };
+
+  try {
+    logger.configure({ ...options, level: config.logLevel });
+  } catch (error) {
+    logger.configure(options);
+    console.error(theme.warning(`${theme.icon('warning')}${error.message}; using info`));
+  }
+
+  logger.info('Command started', { argv: process.argv.slice(2) });
+}
+
+// --approve-policy is for scripted runs: allow or deny whatever the policy would ask about,
+// or use another policy file; either way nobody is prompted
+function useToolApprovals() {
+  const { approvePolicy } = program.opts();
+
+  ignoredSettings.forEach(key => {
+    console.error(theme.warning(`${theme.icon('warning')}Ignoring ${key} from ${getProjectConfigPath()}; set it in the user config or ${CONFIG_KEYS[key].env}`));
+  });
+
+  const answer = APPROVAL_ANSWERS.includes(approvePolicy) ? approvePolicy : null;
+  const policyPath = approvePolicy && !answer ? approvePolicy : (config.toolPolicy || getToolPolicyPath());
+
+  // A policy named on the command line must be usable up front; a broken default one denies each call instead
+  if (approvePolicy && !answer) {
+    try {
+      if (!fs.existsSync(policyPath)) {
+        throw new Error(`No such policy file: ${policyPath}`);
+      }
+      readToolPolicy(policyPath);
+    } catch (error) {
+      reportError(outputFormat(), 'Cannot load tool policy', error);
+      process.exit(EXIT_FAILURE);
+    }
+  }
+
+  const ask = !approvePolicy && outputFormat() === 'table' && process.stdin.isTTY;
+  brainClient.approvals = new ToolApprovals({ policyPath, answer, prompt: ask ? promptApproval : null });
+}
+
+function startRecording(filePath) {
+  try {
+    new SessionRecorder(filePath, { output: outputFormat() }).start(brainClient);
+  } catch (error) {
+    reportError(outputFormat(), 'Cannot record session', error);
+    process.exit(EXIT_FAILURE);
+  }
+}
+
+function showBanner() {
+  console.log(
+    theme.gradient(
+      figlet.textSync('Brain Surf CLI', {
+        font: 'ANSI Shadow',
+        horizontalLayout: 'default',
+        verticalLayout: 'default'
+      }),
+      { multiline: true }
+    )
+  );
+}
+
+// No commander defaults here: flags only win when given, otherwise config decides
+function withConnectionOptions(command) {
+  return command
+    .option('-u, --url <url>', `WebSocket server URL (default: ${config.url})`)
+    .option('-t, --timeout <ms>', `Connection timeout in milliseconds (default: ${config.timeout})`);
+}
+
+function connectionSettings(options) {
+  return loadConfig({ url: options.url, timeout: options.timeout });
+}
+
+// Connect, run a single task, close the socket and exit
+async function runOneShot(options, context, task) {
+  try {
+    const { url, timeout } = connectionSettings(options);
+    await brainClient.connect(url, timeout, { quiet: true });
+  } catch (error) {
+    reportError(outputFormat(), 'Connection failed', error);
+    process.exit(EXIT_CONNECTION_FAILED);
+  }
+
+  let exitCode = EXIT_SUCCESS;
+
+  try {
+    const result = await task();
+
+    // Table mode renders as frames arrive; the other formats print the result here
+    if (result && outputFormat() !== 'table') {
+      printResult(outputFormat(), result);
+    }
+  } catch (error) {
+    reportError(outputFormat(), context, error);
+    exitCode = EXIT_FAILURE;
+  }
+
+  await brainClient.disconnect();
+  await notifications.flush();
+  process.exit(exitCode);
+}
 
 program
   .name('brain')
   .description('CLI for the Brain')
-  .version('1.0.0', '-v, --version', 'display version number');
+  .version('1.0.0', '-v, --version', 'display version number')
+  .addOption(
+    new Option('-o, --output <format>', 'Output format')
+      .choices(OUTPUT_FORMATS)
+      .default('table')
+  )
+  .option('--no-color', 'Turn off colors (also honors NO_COLOR)')
+  .option('--raw', 'Print Brain responses as sent, without rendering markdown')
+  .option('--no-code-borders', 'Draw code blocks in responses without borders, so they copy cleanly')
+  .option('--debug', 'Log every frame sent and received to stderr')
+  .option('--log-file <path>', 'Write structured logs to a file, rotating it as it grows')
+  .option('--record <path>', 'Record every WebSocket frame to a file for brain replay')
+  .option('--approve-policy <allow|deny|path>', 'Answer tool approvals without prompting: allow or deny what the policy would ask about, or use a policy file')
+  .hook('preAction', (thisCommand, actionCommand) => {
+    brainClient.output = outputFormat();
+    brainClient.rawResponses = Boolean(program.opts().raw);
+    brainClient.codeBorders = program.opts().codeBorders !== false && config.codeBorders;
+    useTheme();
+    useLogger();
+    useToolApprovals();
 
-program
-  .command('connect')
-  .description('Connect to Brain WebSocket server')
-  .option('-u, --url <url>', 'WebSocket server URL', 'ws://localhost:3789')
-  .option('-t, --timeout <ms>', 'Connection timeout in milliseconds', '5000')
+    if (program.opts().record && actionCommand.name() !== 'replay') {
+      startRecording(program.opts().record);
+    }
+
+    // The banner is decoration for humans only
+    if (outputFormat() === 'table' && process.stdout.isTTY) {
+      showBanner();
+    }
+  });
+
+withConnectionOptions(
+  program
+    .command('connect')
+    .description('Check the connection to the Brain WebSocket server')
+)
+  .action(async (options) => {
+    try {
+      const { url, timeout } = connectionSettings(options);
+      await brainClient.connect(url, timeout);
+
+      if (outputFormat() === 'table') {
+        console.log(theme.success(theme.icon('success') + 'Successfully connected to Brain server!'));
+      } else {
+        printResult(outputFormat(), { type: 'connected', url });
+      }
+    } catch (error) {
+      reportError(outputFormat(), 'Connection failed', error);
+      process.exit(EXIT_CONNECTION_FAILED);
+    }
+
+    await brainClient.disconnect();
+    process.exit(EXIT_SUCCESS);
+  });
+
+// Prompt on a terminal, otherwise read from stdin so tokens can be piped in
+async function readToken() {
+  if (!process.stdin.isTTY) {
+    return (await readStdin()).trim();
+  }
+
+  const { token } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'token',
+      message: 'Token:',
+      mask: '*',
+      validate: (value) => value.trim() !== '' || 'Enter a token'
+    }
+  ]);
+  return token.trim();
+}
+
+withConnectionOptions(
+  program
+    .command('login')
+    .description('Save a bearer token for the Brain server')
+    .option('--token <token>', 'Token to save (prompted for, or read from stdin, when left out)')
+    .option('--no-verify', 'Save the token without checking it against the server')
+)
   .action(async (options) => {
+    const { url, timeout } = connectionSettings(options);
+    let token;
+
+    try {
+      credentialKey(url);
+      token = options.token || await readToken();
+
+      if (!token) {
+        throw new Error('No token given');
+      }
+    } catch (error) {
+      reportError(outputFormat(), 'Login failed', error);
+      process.exit(EXIT_FAILURE);
+    }
+
+    if (options.verify) {
+      brainClient.token = token;
+
+      try {
+        await brainClient.connect(url, timeout, { quiet: true });
+      } catch (error) {
+        reportError(outputFormat(), 'Login failed', error);
+        process.exit(error.code === 'AUTH_FAILED' ? EXIT_FAILURE : EXIT_CONNECTION_FAILED);
+      }
+
+      await brainClient.disconnect();
+    }
+
     try {
-      await brainClient.connect(options.url, parseInt(options.timeout));
-      console.log(chalk.green('✅ Successfully connected to Brain server!'));
+      saveToken(url, token);
     } catch (error) {
-      handleError('Connection failed', error);
+      reportError(outputFormat(), 'Failed to save token', error);
+      process.exit(EXIT_FAILURE);
     }
+
+    if (outputFormat() === 'table') {
+      console.log(theme.success(`${theme.icon('success')}Logged in to ${credentialKey(url)}`) +
+        theme.muted(` · token saved to ${getCredentialsPath()}`));
+    } else {
+      printResult(outputFormat(), { type: 'logged_in', url: credentialKey(url), path: getCredentialsPath() });
+    }
+    process.exit(EXIT_SUCCESS);
   });
 
+program
+  .command('logout')
+  .description('Forget the saved token for the Brain server')
+  .option('-u, --url <url>', `WebSocket server URL (default: ${config.url})`)
+  .action((options) => runLocalTask('Logout failed', () => {
+    const { url } = connectionSettings(options);
+    const removed = removeToken(url);
+
+    if (outputFormat() === 'table') {
+      console.log(removed
+        ? theme.success(`${theme.icon('success')}Logged out of ${credentialKey(url)}`)
+        : theme.muted(`No saved token for ${credentialKey(url)}`));
+    }
+
+    return { type: 'logged_out', url: credentialKey(url), removed };
+  }));
+
 program
   .command('interactive')
   .alias('i')
   .description('Start interactive mode with beautiful UI')
-  .option('-u, --url <url>', 'WebSocket server URL', 'ws://localhost:3789')
+  .option('-u, --url <url>', `WebSocket server URL (default: ${config.url})`)
   .action(async (options) => {
     try {
       const interactive = new InteractiveMode(brainClient);
-      await interactive.start(options.url);
+      await interactive.start(connectionSettings(options).url);
     } catch (error) {
       handleError('Interactive mode failed', error);
     }
   });
 
+withConnectionOptions(
+  program
+    .command('dashboard')
+    .description('Open the full-screen live dashboard')
+)
+  .action(async (options) => {
+    try {
+      const { url, timeout } = connectionSettings(options);
+      const dashboard = new Dashboard(brainClient);
+      await dashboard.start(url, timeout);
+    } catch (error) {
+      reportError(outputFormat(), 'Dashboard failed', error);
+      process.exit(EXIT_CONNECTION_FAILED);
+    }
+  });
+
 program
   .command('server')
   .description('Manage MCP servers')
   .addCommand(
-    new Command('connect')
-      .description('Connect to an MCP server')
-      .requiredOption('-i, --id <id>', 'Server ID')
-      .requiredOption('-c, --config <config>', 'Server config (path or URL)')
-      .action(async (options) => {
-        try {
-          await brainClient.connectServer(options.id, options.config);
-          console.log(chalk.green(`✅ Connected to server: ${options.id}`));
-        } catch (error) {
-          handleError('Server connection failed', error);
+    withConnectionOptions(
+      new Command('connect')
+        .description('Connect to an MCP server')
+        .requiredOption('-i, --id <id>', 'Server ID')
+        .requiredOption('-c, --config <config>', 'Server config (path, URL or JSON object)')
+    )
+      .action((options) => runOneShot(options, 'Server connection failed', async () => {
+        const { server } = await brainClient.connectServer(options.id, parseServerConfig(options.config));
+
+        if (outputFormat() === 'table') {
+          console.log(theme.success(`${theme.icon('success')}Connected to server: ${options.id}`));
         }
-      })
+
+        return { type: 'server_connected', server_id: options.id, server };
+      }))
   )
   .addCommand(
-    new Command('list')
-      .description('List all connected servers')
-      .action(async () => {
+    withConnectionOptions(
+      new Command('disconnect')
+        .description('Disconnect an MCP server')
+        .requiredOption('-i, --id <id>', 'Server ID')
+    )
+      .action((options) => runOneShot(options, 'Server disconnection failed', async () => {
+        await brainClient.disconnectServer(options.id);
+        return { type: 'server_disconnected', server_id: options.id };
+      }))
+  )
+  .addCommand(
+    withConnectionOptions(
+      new Command('apply')
+        .description('Connect, reconnect and disconnect servers to match a manifest')
+        .requiredOption('-f, --file <path>', 'Manifest file with an "mcpServers" object')
+        .option('--dry-run', 'Show the plan without changing anything')
+        .option('--prune', 'Disconnect servers that are not in the manifest')
+    )
+      .action((options) => {
+        let desired;
+
         try {
-          await brainClient.listServers();
+          desired = loadManifest(options.file);
         } catch (error) {
-          handleError('Failed to list servers', error);
+          reportError(outputFormat(), 'Invalid manifest', error);
+          process.exit(EXIT_FAILURE);
         }
+
+        return runOneShot(options, 'Apply failed', async () => {
+          const current = await brainClient.fetchServers();
+          const actions = planApply(desired, current, { prune: options.prune });
+
+          if (outputFormat() === 'table') {
+            printApplyPlan(actions, options.dryRun);
+          }
+
+          if (!options.dryRun) {
+            for (const step of actions) {
+              try {
+                if (step.action === 'disconnect') {
+                  await brainClient.disconnectServer(step.id);
+                }
+                if (step.action === 'reconnect') {
+                  await disconnectBeforeReconnect(step);
+                }
+                if (step.action === 'connect' || step.action === 'reconnect') {
+                  await brainClient.connectServer(step.id, step.config);
+                }
+                step.status = step.action === 'unchanged' ? 'skipped' : 'ok';
+              } catch (error) {
+                step.status = 'failed';
+                step.error = error.message;
+              }
+            }
+          }
+
+          const failed = actions.filter(step => step.status === 'failed');
+          const result = { type: 'apply', dry_run: Boolean(options.dryRun), actions };
+
+          if (failed.length > 0) {
+            if (outputFormat() !== 'table') {
+              printResult(outputFormat(), result);
+            }
+            throw new Error(`${failed.length} of ${actions.length} servers failed: ${failed.map(step => step.id).join(', ')}`);
+          }
+
+          return result;
+        });
       })
+  )
+  .addCommand(
+    withConnectionOptions(
+      new Command('list')
+        .description('List all connected servers')
+    )
+      .action((options) => runOneShot(options, 'Failed to list servers', async () => {
+        const servers = await brainClient.listServers();
+        return { type: 'servers_list', servers };
+      }))
   );
 
 program
   .command('tools')
-  .description('List tools from a specific server')
-  .requiredOption('-i, --id <id>', 'Server ID')
-  .action(async (options) => {
+  .description('List and call tools on MCP servers')
+  .addCommand(
+    withConnectionOptions(
+      new Command('list')
+        .description('List tools from a specific server')
+        .requiredOption('-i, --id <id>', 'Server ID')
+    )
+      .action((options) => runOneShot(options, 'Failed to list tools', async () => {
+        const tools = await brainClient.listTools(options.id);
+        return { type: 'tools_list', server_id: options.id, tools };
+      })),
+    { isDefault: true }
+  )
+  .addCommand(
+    withConnectionOptions(
+      new Command('call')
+        .description('Call a tool directly, prompting for arguments from its input schema')
+        .requiredOption('-i, --id <id>', 'Server ID')
+        .argument('<tool>', 'Tool name')
+        .option('-a, --args <json>', 'Tool arguments as a JSON object (prompted for when omitted)')
+    )
+      .action((toolName, options) => runOneShot(options, 'Tool call failed', async () => {
+        const tools = await brainClient.fetchTools(options.id);
+        const tool = tools.find(item => item.name === toolName);
+
+        if (!tool) {
+          throw new Error(`Server ${options.id} has no tool named "${toolName}"`);
+        }
+
+        const schema = getToolSchema(tool);
+        let args;
+
+        if (options.args !== undefined) {
+          try {
+            args = JSON.parse(options.args);
+          } catch (error) {
+            throw new Error(`--args is not valid JSON: ${error.message}`);
+          }
+        } else if (process.stdin.isTTY && outputFormat() === 'table') {
+          args = compactArguments(await inquirer.prompt(buildArgumentPrompts(schema)));
+        } else {
+          args = {};
+        }
+
+        const errors = validateArguments(schema, args);
+        if (errors.length > 0) {
+          throw new Error(`Invalid arguments for ${toolName}: ${errors.join('; ')}`);
+        }
+
+        const result = await brainClient.callTool(options.id, toolName, args);
+        return { type: 'tool_result', server_id: options.id, tool_name: toolName, arguments: args, result };
+      }))
+  )
+  .addCommand(
+    withConnectionOptions(
+      new Command('search')
+        .description('Search tools by name, description and parameters across every connected server')
+        .argument('<text...>', 'Search terms')
+        .option('-l, --limit <n>', 'Maximum number of results', '20')
+    )
+      .action((terms, options) => runOneShot(options, 'Tool search failed', async () => {
+        const query = terms.join(' ');
+        const spinner = brainClient.createSpinner('Searching tools on every server...').start();
+        const perServer = await brainClient.fetchAllTools();
+        spinner.stop();
+
+        const entries = perServer.flatMap(({ server_id, tools }) => tools.map(tool => ({ server_id, tool })));
+        const results = searchTools(entries, query).slice(0, parseInt(options.limit));
+        const failed = perServer.filter(server => server.error);
+
+        if (outputFormat() === 'table') {
+          printSearchResults(query, results, failed);
+        }
+
+        return {
+          type: 'tools_search',
+          query,
+          results: results.map(({ server_id, tool, score, matched }) => ({
+            server_id,
+            tool_name: tool.name,
+            description: tool.description || '',
+            score,
+            matched
+          })),
+          errors: failed.map(({ server_id, error }) => ({ server_id, error }))
+        };
+      }))
+  )
+  .addCommand(
+    withConnectionOptions(
+      new Command('describe')
+        .description('Show a tool\'s full description, parameters and example invocations')
+        .argument('<server>', 'Server ID')
+        .argument('<tool>', 'Tool name')
+    )
+      .action((serverId, toolName, options) => runOneShot(options, 'Failed to describe tool', async () => {
+        const tools = await brainClient.fetchTools(serverId);
+        const tool = tools.find(item => item.name === toolName);
+
+        if (!tool) {
+          throw new Error(`Server ${serverId} has no tool named "${toolName}"`);
+        }
+
+        const schema = getToolSchema(tool);
+        const examples = toolExamples(schema);
+
+        if (outputFormat() === 'table') {
+          printToolDescription(serverId, tool, schema, examples);
+        }
+
+        return { type: 'tool_description', server_id: serverId, tool, examples };
+      }))
+  );
+
+withConnectionOptions(
+  program
+    .command('query')
+    .description('Send a query to the Brain LLM, or a batch of them with --file or "-"')
+    .argument('[query]', 'Query to send, or "-" to read a batch from stdin')
+    .option('-s, --stream', 'Stream response in real-time')
+    .option('-c, --continue <id>', 'Continue a saved conversation (id or unique prefix)')
+    .option('-r, --resume', 'Continue the most recent conversation')
+    .option('--no-history', 'Do not save this query to the conversation history')
+    .option('-f, --file <path>', 'Run every query in a .txt (one per line) or .jsonl file')
+    .option('--results <path>', 'Append batch results to this JSONL file and skip ids already answered there')
+    .option('--concurrency <n>', `Batch queries in flight at once (default: ${config.maxConcurrentConnections})`)
+    .option('--trace <path>', 'Save the agent trace (thinking steps, tool calls and timings) as JSON')
+)
+  .action((query, options) => {
+    if (options.file || query === '-') {
+      if (options.trace) {
+        reportError(outputFormat(), 'Query failed', new Error('--trace works with a single query, not a batch'));
+        process.exit(EXIT_FAILURE);
+      }
+      return runBatchQueries(query, options);
+    }
+
+    if (!query) {
+      reportError(outputFormat(), 'Query failed', new Error('Give a query, --file <path>, or "-" to read queries from stdin'));
+      process.exit(EXIT_FAILURE);
+    }
+
+    let conversation;
+
     try {
-      await brainClient.listTools(options.id);
+      if (options.continue) {
+        conversation = loadConversation(options.continue);
+      } else if (options.resume) {
+        conversation = getLatestConversation();
+      } else {
+        conversation = createConversation();
+      }
     } catch (error) {
-      handleError('Failed to list tools', error);
+      reportError(outputFormat(), 'Query failed', error);
+      process.exit(EXIT_FAILURE);
+    }
+
+    return runOneShot(options, 'Query failed', async () => {
+      const trace = options.trace ? new QueryTrace(query) : undefined;
+      let turn;
+
+      // A failed query's trace is worth keeping too
+      try {
+        turn = await askInConversation(brainClient, conversation, query, {
+          stream: options.stream,
+          save: options.history,
+          trace
+        });
+      } finally {
+        if (trace) saveTrace(options.trace, trace);
+      }
+
+      return {
+        type: 'query_response',
+        conversation_id: conversation.id,
+        query,
+        response: turn.response,
+        thinking: turn.thinking.map(step => step.message)
+      };
+    });
+  });
+
+withConnectionOptions(
+  program
+    .command('status')
+    .description('Show Brain latency and the health of every MCP server')
+    .option('-w, --watch', 'Keep refreshing until interrupted')
+    .option('-n, --interval <seconds>', 'Seconds between refreshes with --watch', '5')
+    .option('--check', 'Exit with 1 when any server is unhealthy, for cron health checks')
+)
+  .action((options) => {
+    if (options.watch) {
+      return watchStatus(options);
     }
+
+    return runOneShot(options, 'Failed to get status', async () => {
+      const snapshot = await new StatusMonitor(brainClient).refresh();
+
+      if (outputFormat() === 'table') {
+        console.log(renderStatus(snapshot));
+      }
+
+      return checkHealth(snapshot, options);
+    });
   });
 
+// Under --check an unhealthy server fails the command, once the status has been shown
+function checkHealth(snapshot, options) {
+  const unhealthy = unhealthyServers(snapshot);
+
+  if (!options.check || unhealthy.length === 0) {
+    return snapshot;
+  }
+
+  if (outputFormat() !== 'table') {
+    printResult(outputFormat(), snapshot);
+  }
+  throw new Error(`Unhealthy servers: ${unhealthy.map(server => server.id).join(', ')}`);
+}
+
+async function watchStatus(options) {
+  const interval = Number(options.interval) * 1000;
+
+  if (!(interval > 0)) {
+    reportError(outputFormat(), 'Invalid interval', new Error(`--interval must be a positive number of seconds, got "${options.interval}"`));
+    process.exit(EXIT_FAILURE);
+  }
+
+  const { url, timeout } = connectionSettings(options);
+
+  try {
+    await brainClient.connect(url, timeout, { quiet: true });
+  } catch (error) {
+    reportError(outputFormat(), 'Connection failed', error);
+    process.exit(EXIT_CONNECTION_FAILED);
+  }
+
+  const monitor = new StatusMonitor(brainClient);
+  const redraw = outputFormat() === 'table' && process.stdout.isTTY;
+  // A stream of snapshots reads best one per line
+  const format = outputFormat() === 'json' ? 'ndjson' : outputFormat();
+
+  const stop = async (code) => {
+    monitor.stop();
+    await brainClient.disconnect();
+    process.exit(code);
+  };
+
+  monitor.start();
+  process.on('SIGINT', () => stop(EXIT_SUCCESS));
+
+  for (;;) {
+    try {
+      // Once the client has given up reconnecting, start again from scratch
+      if (!brainClient.connected && !brainClient.reconnecting) {
+        await brainClient.connect(url, timeout, { quiet: true });
+      }
+
+      const snapshot = await monitor.refresh();
+
+      if (format === 'table') {
+        if (redraw) process.stdout.write('\x1b[2J\x1b[H');
+        console.log(renderStatus(snapshot));
+        console.log(theme.muted(`\nRefreshing every ${options.interval}s · Ctrl+C to quit`));
+      } else {
+        printResult(format, snapshot);
+      }
+
+      if (options.check && !snapshot.healthy) {
+        reportError(outputFormat(), 'Health check failed', new Error(
+          `Unhealthy servers: ${unhealthyServers(snapshot).map(server => server.id).join(', ')}`
+        ));
+        await stop(EXIT_FAILURE);
+      }
+    } catch (error) {
+      if (redraw) process.stdout.write('\x1b[2J\x1b[H');
+      reportError(outputFormat(), 'Failed to get status', error);
+
+      if (options.check) {
+        await stop(EXIT_CONNECTION_FAILED);
+      }
+    }
+
+    await sleep(interval);
+  }
+}
+
+async function runBatchQueries(query, options) {
+  let items;
+  let concurrency;
+
+  try {
+    if (options.file && query) {
+      throw new Error('Give either a query or --file, not both');
+    }
+
+    const source = options.file || '-';
+    const text = source === '-' ? await readStdin() : fs.readFileSync(source, 'utf8');
+    items = parseBatchInput(text, detectBatchFormat(source, text));
+    concurrency = loadConfig({ maxConcurrentConnections: options.concurrency }).maxConcurrentConnections;
+  } catch (error) {
+    reportError(outputFormat(), 'Batch failed', error);
+    process.exit(EXIT_FAILURE);
+  }
+
+  const completed = readCompletedIds(options.results);
+  const pending = items.filter(item => !completed.has(item.id));
+
+  // Without a results file the JSONL goes to stdout, so keep everything else off it
+  const writeResult = options.results
+    ? (line) => fs.appendFileSync(options.results, line + '\n')
+    : (line) => process.stdout.write(line + '\n');
+
+  return runOneShot(options, 'Batch failed', async () => {
+    const format = outputFormat();
+    // Answers go to the results, not the terminal
+    brainClient.output = SILENT_OUTPUT;
+
+    const bar = format === 'table' && process.stderr.isTTY
+      ? new cliProgress.SingleBar({
+        format: theme.accent('{bar}') + ' {percentage}% | {value}/{total} queries | {failed} failed | ETA {eta_formatted}',
+        hideCursor: true
+      }, cliProgress.Presets.shades_classic)
+      : null;
+
+    let failed = 0;
+    notifications.startBatch();
+
+    if (bar) bar.start(pending.length, 0, { failed });
+
+    const results = await runBatch(brainClient, pending, {
+      concurrency,
+      onResult: (result) => {
+        if (result.error) failed++;
+        writeResult(JSON.stringify(result));
+        if (bar) bar.increment({ failed });
+      }
+    });
+
+    if (bar) bar.stop();
+
+    notifications.finishBatch(pending.length, failed);
+
+    const latencies = results.map(result => result.latency_ms);
+    const summary = {
+      type: 'batch_summary',
+      total: items.length,
+      skipped: items.length - pending.length,
+      completed: results.length - failed,
+      failed,
+      average_latency_ms: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+      results: options.results || null
+    };
+
+    if (format === 'table') {
+      printBatchSummary(summary);
+    } else if (failed > 0 && options.results) {
+      printResult(format, summary);
+    }
+
+    if (failed > 0) {
+      throw new Error(`${failed} of ${results.length} queries failed`);
+    }
+
+    return options.results ? summary : null;
+  });
+}
+
+function printBatchSummary(summary) {
+  const role = summary.failed > 0 ? 'warning' : 'success';
+  const lines = [
+    theme.primary('Completed: ') + theme.success(summary.completed),
+    theme.primary('Failed: ') + (summary.failed > 0 ? theme.error(summary.failed) : theme.text(0)),
+    theme.primary('Skipped (already answered): ') + theme.text(summary.skipped)
+  ];
+
+  if (summary.average_latency_ms !== null) {
+    lines.push(theme.primary('Average latency: ') + theme.text(`${summary.average_latency_ms}ms`));
+  }
+  if (summary.results) {
+    lines.push(theme.primary('Results: ') + theme.accent(summary.results));
+  }
+
+  // stdout may be carrying the results themselves
+  console.error(boxen(
+    theme[role](theme.icon('batch') + 'Batch complete\n\n') + lines.join('\n'),
+    { padding: 1, margin: 1, borderColor: theme.borderColor(role), borderStyle: 'round' }
+  ));
+}
+
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
 program
-  .command('query')
-  .description('Send a query to the Brain LLM')
-  .argument('<query>', 'Query to send')
-  .option('-s, --stream', 'Stream response in real-time')
-  .action(async (query, options) => {
+  .command('mock-server')
+  .description('Run a mock Brain server for offline development and tests')
+  .option('-p, --port <port>', 'Port to listen on', String(DEFAULT_MOCK_PORT))
+  .option('--host <host>', 'Host to bind', '127.0.0.1')
+  .option('-f, --fixtures <path>', 'JSON file with servers, tools and scripted query answers')
+  .option('--latency <ms>', 'Delay before every response frame', '0')
+  .option('--failure-rate <rate>', 'Chance (0-1) that any command fails', '0')
+  .option('--fail <command>', 'Always fail this command (repeatable)', collect, [])
+  .option('--capabilities <list>', 'Comma-separated capabilities to advertise', CAPABILITIES.join(','))
+  .option('--no-handshake', 'Behave like a Brain from before the protocol handshake')
+  .option('--token <token>', 'Require this bearer token on every connection')
+  .action(async (options) => {
+    let server;
+
     try {
-      await brainClient.sendQuery(query, { stream: options.stream });
+      server = new MockBrainServer({
+        port: Number(options.port),
+        host: options.host,
+        fixtures: options.fixtures ? loadFixtures(options.fixtures) : undefined,
+        latency: Number(options.latency),
+        failureRate: Number(options.failureRate),
+        failures: Object.fromEntries(options.fail.map(command => [command, ''])),
+        capabilities: options.capabilities.split(',').map(item => item.trim()).filter(Boolean),
+        protocolVersion: options.handshake ? undefined : null,
+        token: options.token
+      });
+      await server.start();
     } catch (error) {
-      handleError('Query failed', error);
+      reportError(outputFormat(), 'Mock server failed', error);
+      process.exit(EXIT_FAILURE);
+    }
+
+    if (outputFormat() === 'table') {
+      console.log(boxen(
+        theme.success(theme.icon('mock') + 'Mock Brain server running\n\n') +
+        theme.primary('URL: ') + theme.text(server.url) + '\n' +
+        theme.primary('Servers: ') + theme.text(Object.keys(server.servers).join(', ') || 'none') + '\n\n' +
+        theme.muted(`Try: brain server list --url ${server.url}\n`) +
+        theme.muted('Press Ctrl+C to stop'),
+        { padding: 1, margin: 1, borderColor: theme.borderColor('success'), borderStyle: 'round' }
+      ));
+
+      server.on('command', ({ command }) => {
+        console.log(theme.muted(`[${new Date().toLocaleTimeString()}] `) + theme.accent(command));
+      });
+    } else {
+      printResult(outputFormat(), { type: 'mock_server', url: server.url });
     }
+
+    const shutdown = async () => {
+      await server.stop();
+      process.exit(EXIT_SUCCESS);
+    };
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
   });
 
 program
-  .command('status')
-  .description('Show Brain system status')
-  .action(async () => {
+  .command('replay')
+  .description('Play back a session recorded with --record, without a Brain server')
+  .argument('<file>', 'Recording to play')
+  .option('-s, --speed <factor>', 'Playback speed; 2 plays twice as fast', '1')
+  .option('--instant', 'Skip the pauses between frames')
+  .action(async (file, options) => {
+    const speed = options.instant ? Infinity : Number(options.speed);
+
+    if (!(speed > 0)) {
+      reportError(outputFormat(), 'Invalid speed', new Error(`--speed must be a positive number, got "${options.speed}"`));
+      process.exit(EXIT_FAILURE);
+    }
+
     try {
-      await brainClient.showStatus();
+      const recording = loadRecording(file);
+
+      // Render the way the session was recorded unless --output says otherwise
+      if (program.getOptionValueSource('output') === 'default' && recording.header.output) {
+        brainClient.output = recording.header.output;
+      }
+
+      const frames = await replayRecording(brainClient, recording, { speed });
+
+      if (brainClient.output !== 'table') {
+        printResult(brainClient.output, { type: 'replay', file, recorded_at: recording.header.recorded_at, frames });
+      }
     } catch (error) {
-      handleError('Failed to get status', error);
+      reportError(outputFormat(), 'Replay failed', error);
+      process.exit(EXIT_FAILURE);
     }
+
+    process.exit(EXIT_SUCCESS);
+  });
+
+// A server the Brain already dropped or errored may refuse the disconnect; connect it anyway
+async function disconnectBeforeReconnect(step) {
+  try {
+    await brainClient.disconnectServer(step.id);
+  } catch (error) {
+    logger.warn('Disconnect before reconnect failed', { server_id: step.id, error: error.message });
+    step.warning = `disconnect failed: ${error.message}`;
+  }
+}
+
+function printApplyPlan(actions, dryRun) {
+  const colors = {
+    connect: theme.success,
+    reconnect: theme.warning,
+    disconnect: theme.error,
+    unchanged: theme.muted
+  };
+
+  console.log(theme.primary(`\n${theme.icon('batch')}${dryRun ? 'Planned changes (dry run)' : 'Applying manifest'}\n`));
+
+  const table = new Table({
+    head: [theme.primary('Server'), theme.primary('Action'), theme.primary('Reason')],
+    style: theme.tableStyle()
+  });
+
+  actions.forEach(({ id, action, reason }) => {
+    table.push([theme.accent(id), colors[action](action), theme.muted(reason)]);
+  });
+
+  console.log(table.toString());
+}
+
+function printSearchResults(query, results, failed) {
+  console.log(theme.primary(`\n${theme.icon('search')}Tools matching "${query}"\n`));
+
+  failed.forEach(({ server_id, error }) => {
+    console.log(theme.warning(`${theme.icon('warning')}Skipped ${server_id}: ${error}`));
+  });
+
+  if (results.length === 0) {
+    console.log(theme.muted('No matching tools'));
+    return;
+  }
+
+  const table = new Table({
+    head: [theme.primary('Server'), theme.primary('Tool'), theme.primary('Matched'), theme.primary('Description')],
+    style: theme.tableStyle()
   });
 
+  const descriptionWidth = Math.max(getTerminalWidth() - 70, 30);
+
+  results.forEach(({ server_id, tool, matched }) => {
+    table.push([
+      theme.accent(server_id),
+      theme.success(tool.name),
+      theme.muted(matched.join(', ')),
+      theme.text(truncate(tool.description || 'No description', descriptionWidth))
+    ]);
+  });
+
+  console.log(table.toString());
+}
+
+function printConversation(conversation) {
+  console.log(theme.primary(`\n${theme.icon('conversation')}${conversation.title}`) + theme.muted(` (${conversation.id})\n`));
+
+  conversation.turns.forEach((turn, index) => {
+    console.log(theme.muted(`[${new Date(turn.started_at).toLocaleString()}] Turn ${index + 1}`));
+    console.log(boxen(
+      theme.primary(theme.icon('brain') + 'Query: ') + theme.text(turn.query),
+      { padding: 1, borderColor: theme.borderColor('primary'), borderStyle: 'round' }
+    ));
+
+    turn.thinking.forEach(step => {
+      console.log(theme.warning(theme.icon('thinking')) + theme.muted(step.message));
+    });
+
+    if (turn.error) {
+      console.log(theme.error(`${theme.icon('error')}${turn.error}`));
+    } else {
+      console.log(boxen(
+        theme.success(theme.icon('response') + 'Brain Response:\n\n') + theme.text(turn.response),
+        { padding: 1, margin: { bottom: 1 }, borderColor: theme.borderColor('success'), borderStyle: 'round' }
+      ));
+    }
+  });
+}
+
+// Run a task that needs no connection and exit with a status code
+function runLocalTask(context, task) {
+  try {
+    const result = task();
+
+    if (result && outputFormat() !== 'table') {
+      printResult(outputFormat(), result);
+    }
+
+    process.exit(EXIT_SUCCESS);
+  } catch (error) {
+    reportError(outputFormat(), context, error);
+    process.exit(EXIT_FAILURE);
+  }
+}
+
+function assertConfigKey(key) {
+  if (!isConfigKey(key)) {
+    throw new Error(`Unknown config key: ${key} (known keys: ${Object.keys(CONFIG_KEYS).join(', ')})`);
+  }
+}
+
+program
+  .command('config')
+  .description('Manage CLI configuration')
+  .addCommand(
+    new Command('get')
+      .description('Print the effective value of a setting')
+      .argument('<key>', 'Config key')
+      .action((key) => runLocalTask('Failed to read config', () => {
+        assertConfigKey(key);
+        const { values, sources } = resolveConfig();
+
+        if (outputFormat() === 'table') {
+          console.log(String(values[key]));
+        }
+
+        return { type: 'config_value', key, value: values[key], source: sources[key] };
+      }))
+  )
+  .addCommand(
+    new Command('set')
+      .description('Save a setting to the user config file')
+      .argument('<key>', 'Config key')
+      .argument('<value>', 'Value to store')
+      .option('-p, --project', `Write to ${getProjectConfigPath()} instead`)
+      .action((key, value, options) => runLocalTask('Failed to update config', () => {
+        assertConfigKey(key);
+        const filePath = setConfigValue(key, value, { project: options.project });
+
+        if (outputFormat() === 'table') {
+          console.log(theme.success(`${theme.icon('success')}Set ${key} in ${filePath}`));
+        }
+
+        return { type: 'config_updated', key, path: filePath };
+      }))
+  )
+  .addCommand(
+    new Command('unset')
+      .description('Remove a setting from the user config file')
+      .argument('<key>', 'Config key')
+      .option('-p, --project', `Remove from ${getProjectConfigPath()} instead`)
+      .action((key, options) => runLocalTask('Failed to update config', () => {
+        assertConfigKey(key);
+        const filePath = unsetConfigValue(key, { project: options.project });
+
+        if (outputFormat() === 'table') {
+          console.log(theme.success(`${theme.icon('success')}Unset ${key} in ${filePath}`));
+        }
+
+        return { type: 'config_updated', key, path: filePath };
+      }))
+  )
+  .addCommand(
+    new Command('list')
+      .description('Show every setting with its value and where it came from')
+      .action(() => runLocalTask('Failed to read config', () => {
+        const { values, sources } = resolveConfig();
+
+        if (outputFormat() !== 'table') {
+          return { type: 'config', values, sources };
+        }
+
+        const table = new Table({
+          head: [theme.primary('Key'), theme.primary('Value'), theme.primary('Source'), theme.primary('Env')],
+          style: theme.tableStyle()
+        });
+
+        Object.entries(CONFIG_KEYS).forEach(([key, spec]) => {
+          table.push([
+            theme.success(key),
+            theme.text(String(values[key])),
+            sources[key] === 'default' ? theme.muted('default') : theme.accent(sources[key]),
+            theme.muted(spec.env)
+          ]);
+        });
+
+        console.log(table.toString());
+      }))
+  )
+  .addCommand(
+    new Command('path')
+      .description('Show the config file locations')
+      .action(() => runLocalTask('Failed to read config', () => {
+        if (outputFormat() === 'table') {
+          console.log(theme.primary('User:    ') + getUserConfigPath());
+          console.log(theme.primary('Project: ') + getProjectConfigPath());
+        }
+
+        return { type: 'config_paths', user: getUserConfigPath(), project: getProjectConfigPath() };
+      }))
+  );
+
+program
+  .command('history')
+  .description('Browse saved conversations')
+  .addCommand(
+    new Command('list')
+      .description('List saved conversations, most recent first')
+      .action(() => runLocalTask('Failed to list conversations', () => {
+        const conversations = listConversations().map(({ id, title, updated_at, turns }) => ({
+          id,
+          title,
+          updated_at,
+          turns: turns.length
+        }));
+
+        if (outputFormat() !== 'table') {
+          return { type: 'conversations_list', conversations };
+        }
+
+        if (conversations.length === 0) {
+          console.log(theme.muted('No saved conversations'));
+          return null;
+        }
+
+        const table = new Table({
+          head: [theme.primary('ID'), theme.primary('Title'), theme.primary('Turns'), theme.primary('Updated')],
+          style: theme.tableStyle()
+        });
+
+        conversations.forEach(conversation => {
+          table.push([
+            theme.success(conversation.id.slice(0, 8)),
+            theme.text(conversation.title),
+            theme.accent(conversation.turns),
+            theme.muted(new Date(conversation.updated_at).toLocaleString())
+          ]);
+        });
+
+        console.log(table.toString());
+        return null;
+      }))
+  )
+  .addCommand(
+    new Command('show')
+      .description('Show every turn of a conversation')
+      .argument('<id>', 'Conversation id or unique prefix')
+      .action((id) => runLocalTask('Failed to show conversation', () => {
+        const conversation = loadConversation(id);
+
+        if (outputFormat() !== 'table') {
+          return { type: 'conversation', ...conversation };
+        }
+
+        printConversation(conversation);
+        return null;
+      }))
+  )
+  .addCommand(
+    new Command('delete')
+      .description('Delete a saved conversation')
+      .argument('<id>', 'Conversation id or unique prefix')
+      .action((id) => runLocalTask('Failed to delete conversation', () => {
+        const deletedId = deleteConversation(id);
+
+        if (outputFormat() === 'table') {
+          console.log(theme.success(`${theme.icon('success')}Deleted conversation ${deletedId}`));
+        }
+
+        return { type: 'conversation_deleted', id: deletedId };
+      }))
+  );
+
 if (!process.argv.slice(2).length) {
+  useTheme();
   showWelcome();
   process.exit(0);
 }
 
-program.parse();
-
+// Before parsing: interactive and --watch sessions never let the parse resolve
 process.on('uncaughtException', (error) => {
-  console.error(chalk.red('\n💥 Uncaught Exception:'), error.message);
+  logger.error('Uncaught exception', { error: error.stack });
+  console.error(theme.error('\n' + theme.icon('fatal') + 'Uncaught Exception:'), error.message);
   brainClient.disconnect();
   process.exit(1);
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  console.error(chalk.red('\n💥 Unhandled Rejection at:'), promise, 'reason:', reason);
+  logger.error('Unhandled rejection', { error: reason instanceof Error ? reason.stack : String(reason) });
+  console.error(theme.error('\n' + theme.icon('fatal') + 'Unhandled Rejection at:'), promise, 'reason:', reason);
   brainClient.disconnect();
   process.exit(1);
 });
+
+await program.parseAsync();
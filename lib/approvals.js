@@ -0,0 +1,192 @@
+import fs from 'fs';
+import path from 'path';
+import boxen from 'boxen';
+import inquirer from 'inquirer';
+
+import { getUserConfigDir } from './config.js';
+import { theme } from './theme.js';
+
+// What a policy rule can say about a tool call
+export const APPROVAL_ACTIONS = ['allow', 'deny', 'ask'];
+
+// --approve-policy keywords; anything else names a policy file
+export const APPROVAL_ANSWERS = ['allow', 'deny'];
+
+export const APPROVAL_CHOICES = [
+  { value: 'once', name: 'Allow once' },
+  { value: 'always', name: 'Always allow this tool' },
+  { value: 'deny', name: 'Deny' }
+];
+
+export function getToolPolicyPath() {
+  return path.join(getUserConfigDir(), 'tool-policy.json');
+}
+
+function actionProblem(value, at) {
+  return APPROVAL_ACTIONS.includes(value) ? null : `${at} must be one of ${APPROVAL_ACTIONS.join(', ')}, got ${JSON.stringify(value)}`;
+}
+
+function policyProblems(policy) {
+  if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) {
+    return ['must be an object'];
+  }
+
+  const problems = [];
+  if (policy.default !== undefined) problems.push(actionProblem(policy.default, 'default'));
+
+  for (const [serverId, rule] of Object.entries(policy.servers || {})) {
+    // A server is either one action for all its tools, or a default plus per-tool actions
+    if (typeof rule === 'string') {
+      problems.push(actionProblem(rule, `servers.${serverId}`));
+      continue;
+    }
+    if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+      problems.push(`servers.${serverId} must be an action or an object`);
+      continue;
+    }
+    if (rule.default !== undefined) problems.push(actionProblem(rule.default, `servers.${serverId}.default`));
+
+    for (const [toolName, action] of Object.entries(rule.tools || {})) {
+      problems.push(actionProblem(action, `servers.${serverId}.tools.${toolName}`));
+    }
+  }
+
+  return problems.filter(Boolean);
+}
+
+export function readToolPolicy(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { default: 'ask', servers: {} };
+  }
+
+  let policy;
+
+  try {
+    policy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid tool policy ${filePath}: ${error.message}`);
+  }
+
+  const problems = policyProblems(policy);
+  if (problems.length > 0) {
+    throw new Error(`Invalid tool policy ${filePath}: ${problems.join('; ')}`);
+  }
+
+  return { default: 'ask', servers: {}, ...policy };
+}
+
+// The most specific rule wins: the tool, then its server, then the policy default
+export function resolveToolAction(policy, serverId, toolName) {
+  const rule = (policy.servers || {})[serverId];
+
+  if (typeof rule === 'string') return rule;
+  if (rule && (rule.tools || {})[toolName]) return rule.tools[toolName];
+  if (rule && rule.default) return rule.default;
+  return policy.default || 'ask';
+}
+
+export function allowToolAlways(filePath, serverId, toolName) {
+  const policy = readToolPolicy(filePath);
+  const rule = policy.servers[serverId];
+
+  // A server-wide action becomes the server's default, so its other tools keep it
+  const next = typeof rule === 'string' ? { default: rule } : { ...rule };
+  next.tools = { ...next.tools, [toolName]: 'allow' };
+  policy.servers = { ...policy.servers, [serverId]: next };
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(policy, null, 2) + '\n');
+  return filePath;
+}
+
+// Typed answers for prompts without a menu, like the REPL's; empty means no
+export function parseApprovalAnswer(text) {
+  const answer = String(text).trim().toLowerCase();
+
+  if (['y', 'yes', 'once'].includes(answer)) return 'once';
+  if (['a', 'always'].includes(answer)) return 'always';
+  if (['', 'n', 'no', 'deny'].includes(answer)) return 'deny';
+  return null;
+}
+
+export function renderApprovalRequest(request) {
+  const lines = [
+    theme.warning(`${theme.icon('approval')}The Brain wants to run a tool`),
+    '',
+    theme.primary('Tool: ') + theme.accent(request.tool_name),
+    theme.primary('Server: ') + theme.text(request.server_id)
+  ];
+
+  if (request.agent) {
+    lines.push(theme.primary('Agent: ') + theme.text(request.agent));
+  }
+
+  lines.push(theme.primary('Arguments:'), theme.text(JSON.stringify(request.arguments || {}, null, 2)));
+
+  return boxen(lines.join('\n'), { padding: 1, borderColor: theme.borderColor('warning'), borderStyle: 'round' });
+}
+
+export async function promptApproval(request) {
+  console.log(renderApprovalRequest(request));
+
+  const { choice } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'choice',
+      message: 'Run it?',
+      choices: APPROVAL_CHOICES,
+      default: 'deny'
+    }
+  ]);
+  return choice;
+}
+
+// Decides tool calls the Brain asks about: policy rules first, then the person at the terminal
+export class ToolApprovals {
+  constructor({ policyPath = getToolPolicyPath(), answer = null, prompt = null } = {}) {
+    this.policyPath = policyPath;
+    // What "ask" becomes when nobody is asked, from --approve-policy
+    this.answer = answer;
+    this.prompt = prompt;
+    this.queue = Promise.resolve();
+  }
+
+  // Swap in another way of asking, e.g. the REPL's own readline; returns a function that undoes it
+  usePrompt(prompt) {
+    const previous = this.prompt;
+    if (previous) this.prompt = prompt;
+    return () => { this.prompt = previous; };
+  }
+
+  // One request at a time, so prompts never draw over each other
+  decide(request, { canAsk = true } = {}) {
+    const decision = this.queue.then(() => this.resolve(request, canAsk));
+    this.queue = decision.catch(() => {});
+    return decision;
+  }
+
+  async resolve(request, canAsk) {
+    // Read on every request, so edits to the policy apply to a running session
+    const action = resolveToolAction(readToolPolicy(this.policyPath), request.server_id, request.tool_name);
+
+    if (action === 'allow') return { approved: true, reason: 'Allowed by policy' };
+    if (action === 'deny') return { approved: false, reason: 'Denied by policy' };
+
+    if (this.answer) {
+      return { approved: this.answer === 'allow', reason: `${this.answer === 'allow' ? 'Allowed' : 'Denied'} by --approve-policy` };
+    }
+    if (!this.prompt || !canAsk) {
+      return { approved: false, reason: 'Denied: nobody to ask; add a policy rule or use --approve-policy' };
+    }
+
+    const choice = await this.prompt(request);
+
+    if (choice === 'always') {
+      allowToolAlways(this.policyPath, request.server_id, request.tool_name);
+      return { approved: true, reason: `Always allowed, saved to ${this.policyPath}` };
+    }
+    return choice === 'once'
+      ? { approved: true, reason: 'Allowed once' }
+      : { approved: false, reason: 'Denied by user' };
+  }
+}
@@ -0,0 +1,187 @@
+import fs from 'fs';
+import path from 'path';
+
+import { CONFIG_KEYS, getUserConfigDir, getUserConfigPath, readConfigFile } from './config.js';
+import { validateWebSocketUrl } from './utils.js';
+
+// Secrets never go through CONFIG_KEYS, so `brain config list` can't print them
+export const TOKEN_ENV = 'BRAIN_TOKEN';
+export const API_KEY_ENV = 'BRAIN_API_KEY';
+export const API_KEY_HEADER = 'X-API-Key';
+
+export function getCredentialsPath() {
+  return path.join(getUserConfigDir(), 'credentials.json');
+}
+
+// Tokens are stored per Brain, keyed by origin so paths and query strings don't matter
+export function credentialKey(url) {
+  if (!validateWebSocketUrl(url)) {
+    throw new Error(`Invalid Brain URL "${url}": expected a ws:// or wss:// URL`);
+  }
+  return new URL(url).origin;
+}
+
+function readCredentials() {
+  const filePath = getCredentialsPath();
+
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid credentials file ${filePath}: ${error.message}`);
+  }
+}
+
+function writeCredentials(credentials) {
+  const filePath = getCredentialsPath();
+
+  // Readable by the owner only; chmod as well because mode is ignored for existing files
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(filePath, JSON.stringify(credentials, null, 2) + '\n', { mode: 0o600 });
+  fs.chmodSync(filePath, 0o600);
+}
+
+export function saveToken(url, token) {
+  const credentials = readCredentials();
+  credentials[credentialKey(url)] = { token, saved_at: new Date().toISOString() };
+  writeCredentials(credentials);
+  return getCredentialsPath();
+}
+
+export function removeToken(url) {
+  const credentials = readCredentials();
+  const key = credentialKey(url);
+
+  if (!credentials[key]) {
+    return false;
+  }
+
+  delete credentials[key];
+  writeCredentials(credentials);
+  return true;
+}
+
+// Env credentials aren't tied to a Brain the way saved tokens are, so they only go to one the user
+// picked: BRAIN_WS_URL, the url in the user config file or the built-in default. A project
+// .brainrc.json or a --url can't send them elsewhere.
+export function envCredentialsAllowed(url, env = process.env) {
+  const trusted = [CONFIG_KEYS.url.default, env.BRAIN_WS_URL, readConfigFile(getUserConfigPath()).url]
+    .filter(item => item && validateWebSocketUrl(item))
+    .map(item => credentialKey(item));
+
+  return trusted.includes(credentialKey(url));
+}
+
+export function loadToken(url, env = process.env) {
+  if (env[TOKEN_ENV] && envCredentialsAllowed(url, env)) {
+    return env[TOKEN_ENV];
+  }
+
+  const entry = readCredentials()[credentialKey(url)];
+  return entry ? entry.token : null;
+}
+
+// Headers for the WebSocket upgrade request; an explicit token wins over saved ones.
+// warn hears about env credentials held back from a Brain they weren't meant for
+export function authHeaders(url, { token = null, env = process.env, warn = () => {} } = {}) {
+  const headers = {};
+  const allowed = envCredentialsAllowed(url, env);
+  token = token || loadToken(url, env);
+
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  if (env[API_KEY_ENV] && allowed) {
+    headers[API_KEY_HEADER] = env[API_KEY_ENV];
+  }
+
+  const withheld = allowed ? [] : [TOKEN_ENV, API_KEY_ENV].filter(name => env[name]);
+
+  if (withheld.length > 0) {
+    warn(`Not sending ${withheld.join(' or ')} to ${credentialKey(url)}; they only go to BRAIN_WS_URL or the url in the user config, so use "brain login" for this Brain`);
+  }
+
+  return headers;
+}
+
+function readPem(filePath, what) {
+  try {
+    return fs.readFileSync(filePath);
+  } catch (error) {
+    throw new Error(`Cannot read ${what} ${filePath}: ${error.message}`);
+  }
+}
+
+// CA bundle and client certificate for wss:// URLs; plain ws:// never uses them
+export function tlsOptions(url, config) {
+  if (new URL(url).protocol !== 'wss:') {
+    return {};
+  }
+
+  const options = {};
+
+  if (config.caFile) {
+    options.ca = readPem(config.caFile, 'CA bundle');
+  }
+  if (config.clientCert || config.clientKey) {
+    if (!config.clientCert || !config.clientKey) {
+      throw new Error('A client certificate needs both BRAIN_CLIENT_CERT and BRAIN_CLIENT_KEY');
+    }
+    options.cert = readPem(config.clientCert, 'client certificate');
+    options.key = readPem(config.clientKey, 'client key');
+  }
+
+  return options;
+}
+
+export function connectionOptions(url, config, { token = null, env = process.env, warn } = {}) {
+  return {
+    headers: authHeaders(url, { token, env, warn }),
+    ...tlsOptions(url, config)
+  };
+}
+
+// Turn an HTTP answer to the upgrade request into an error that says what to do
+export function upgradeError(statusCode, statusMessage, { authenticated }) {
+  let message;
+
+  if (statusCode === 401) {
+    message = authenticated
+      ? 'Brain server rejected the token (401 Unauthorized); run "brain login" again'
+      : 'Brain server requires authentication (401 Unauthorized); run "brain login" or set BRAIN_TOKEN';
+  } else if (statusCode === 403) {
+    message = 'Brain server refused access (403 Forbidden); the credentials are valid but not allowed to connect';
+  } else {
+    message = `Brain server answered the WebSocket upgrade with HTTP ${statusCode}${statusMessage ? ` ${statusMessage}` : ''}`;
+  }
+
+  const error = new Error(message);
+  error.code = statusCode === 401 || statusCode === 403 ? 'AUTH_FAILED' : 'UPGRADE_FAILED';
+  error.statusCode = statusCode;
+  return error;
+}
+
+const TLS_ERROR_CODES = [
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'CERT_HAS_EXPIRED',
+  'ERR_TLS_CERT_ALTNAME_INVALID'
+];
+
+export function describeTlsError(error) {
+  if (!TLS_ERROR_CODES.includes(error.code)) {
+    return error;
+  }
+
+  const hint = error.code === 'CERT_HAS_EXPIRED' || error.code === 'ERR_TLS_CERT_ALTNAME_INVALID'
+    ? ''
+    : '; set BRAIN_CA_FILE to the CA bundle that signed it';
+  const described = new Error(`TLS certificate check failed: ${error.message}${hint}`);
+  described.code = error.code;
+  return described;
+}
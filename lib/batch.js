@@ -0,0 +1,122 @@
+import fs from 'fs';
+import path from 'path';
+
+const JSONL_EXTENSIONS = ['.jsonl', '.ndjson'];
+
+// One query per line for text; JSON lines may be a string or { id, query }
+export function parseBatchInput(text, format = 'text') {
+  const items = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    const lineNumber = index + 1;
+
+    if (format === 'text') {
+      items.push({ id: String(lineNumber), query: trimmed });
+      return;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Line ${lineNumber} is not valid JSON: ${error.message}`);
+    }
+
+    if (typeof entry === 'string') {
+      entry = { query: entry };
+    }
+    if (!entry || typeof entry.query !== 'string' || !entry.query.trim()) {
+      throw new Error(`Line ${lineNumber} has no "query"`);
+    }
+
+    items.push({ ...entry, id: String(entry.id ?? lineNumber) });
+  });
+
+  const seen = new Set();
+  for (const { id } of items) {
+    if (seen.has(id)) {
+      throw new Error(`Duplicate id "${id}" in batch input`);
+    }
+    seen.add(id);
+  }
+
+  return items;
+}
+
+export function detectBatchFormat(filePath, text) {
+  if (filePath && filePath !== '-') {
+    return JSONL_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) ? 'jsonl' : 'text';
+  }
+
+  // stdin has no extension to go by
+  const firstLine = text.split(/\r?\n/).find(line => line.trim());
+  return firstLine && /^\s*[{"]/.test(firstLine) ? 'jsonl' : 'text';
+}
+
+export function readStdin() {
+  return new Promise((resolve, reject) => {
+    let text = '';
+
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (chunk) => { text += chunk; });
+    process.stdin.on('end', () => resolve(text));
+    process.stdin.on('error', reject);
+  });
+}
+
+// Ids already answered in an earlier run; failed items are left out so they run again
+export function readCompletedIds(resultsPath) {
+  if (!resultsPath || !fs.existsSync(resultsPath)) {
+    return new Set();
+  }
+
+  // The last line for an id wins, so a later retry overrides an earlier failure
+  const latest = new Map();
+
+  for (const line of fs.readFileSync(resultsPath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+
+    try {
+      const result = JSON.parse(line);
+      latest.set(String(result.id), result);
+    } catch {
+      // A run killed mid-write can leave a partial last line
+    }
+  }
+
+  return new Set([...latest].filter(([, result]) => !result.error).map(([id]) => id));
+}
+
+// Run every item through the client with at most `concurrency` queries in flight
+export async function runBatch(client, items, { concurrency = 5, onResult = () => {} } = {}) {
+  const results = [];
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const item = items[next++];
+      const startedAt = Date.now();
+      const result = { id: item.id, query: item.query };
+
+      try {
+        result.response = await client.sendQuery(item.query);
+      } catch (error) {
+        result.error = error.message;
+      }
+
+      result.latency_ms = Date.now() - startedAt;
+      result.started_at = new Date(startedAt).toISOString();
+
+      results.push(result);
+      onResult(result);
+    }
+  }
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  return results;
+}
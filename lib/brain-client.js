@@ -1,82 +1,439 @@
-import chalk from 'chalk';
 import Table from 'cli-table3';
 import boxen from 'boxen';
 
 import WebSocket from 'ws';
 import EventEmitter from 'events';
 
-import { createSpinner } from 'nanospinner';
+import { ToolApprovals } from './approvals.js';
+import { connectionOptions, describeTlsError, upgradeError } from './auth.js';
+import { loadConfig } from './config.js';
+import { Logger } from './logger.js';
+import { MarkdownStream, renderMarkdown } from './markdown.js';
+import { createOutputSpinner, printEvent, reportInvalidFrame, reportWarning } from './output.js';
+import { CAPABILITIES, PROTOCOL_VERSION, negotiate, validateFrame } from './protocol.js';
+import { theme } from './theme.js';
+import { QueryTrace, TRACE_FRAMES, formatTraceDuration, renderTrace, toolCallName } from './trace.js';
+import { toolResultText } from './tools.js';
+import { truncate, validateWebSocketUrl } from './utils.js';
+
+// Response frame type that completes each command
+const RESPONSE_TYPES = {
+  hello: 'hello',
+  connect_server: 'server_connected',
+  disconnect_server: 'server_disconnected',
+  get_servers: 'servers_list',
+  list_tools: 'tools_list',
+  call_tool: 'tool_result',
+  query: 'query_response'
+};
+
+// Per-command timeouts in milliseconds
+const COMMAND_TIMEOUTS = {
+  // Brains from before the handshake may ignore it entirely, so don't wait long
+  hello: 2000,
+  connect_server: 30000,
+  call_tool: 60000,
+  query: 120000,
+  default: 10000
+};
 
 export class BrainClient extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
+    this.config = options.config || loadConfig();
+    this.output = options.output || 'table';
+    this.logger = options.logger || new Logger();
+    // Overrides BRAIN_TOKEN and the saved token, e.g. to check one before brain login saves it
+    this.token = options.token || null;
+    // --raw prints responses as the Brain sent them; otherwise they are rendered as markdown
+    this.rawResponses = Boolean(options.rawResponses);
+    this.codeBorders = this.config.codeBorders !== false;
+    // Without a prompt, tool calls the policy doesn't allow are denied
+    this.approvals = options.approvals || new ToolApprovals({ policyPath: this.config.toolPolicy || undefined });
     this.ws = null;
+    this.url = null;
+    this.timeout = this.config.timeout;
     this.connected = false;
+    this.closing = false;
     this.pendingRequests = new Map();
     this.requestId = 0;
+
+    // Reconnection and heartbeat settings
+    this.reconnectAttempts = options.reconnectAttempts ?? this.config.reconnectAttempts;
+    this.reconnectDelay = options.reconnectDelay ?? this.config.reconnectDelay;
+    this.heartbeatInterval = options.heartbeatInterval ?? 15000;
+    this.reconnecting = false;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.awaitingPong = false;
+    this.lastPingAt = 0;
+    this.latency = null;
+    this.offlineQueue = [];
+    this.activeStream = null;
+    this.protocol = null;
+    // Servers we asked to disconnect, so their server_disconnected isn't a surprise
+    this.expectedDisconnects = new Set();
+    // Requests given up on (Ctrl+C), mapped to the frame types that would have finished them
+    this.cancelledRequests = new Map();
+    this.warned = new Set();
   }
 
-  async connect(url = 'ws://localhost:3789', timeout = 5000) {
-    const spinner = createSpinner('Connecting to Brain server...').start();
-    
+  async connect(url = this.config.url, timeout = this.config.timeout, options = {}) {
+    const spinner = this.createSpinner('Connecting to Brain server...').start();
+
+    this.stopReconnect(new Error('Superseded by a new connection'));
+    this.url = url;
+    this.timeout = timeout;
+    this.closing = false;
+
+    try {
+      if (!validateWebSocketUrl(url)) {
+        throw new Error(`Invalid Brain URL "${url}": expected a ws:// or wss:// URL`);
+      }
+      await this.openSocket(url, timeout);
+    } catch (error) {
+      spinner.error({ text: `Connection failed: ${error.message}` });
+      throw error;
+    }
+
+    spinner.success({ text: `Connected to ${url}` });
+
+    if (options.quiet || this.output !== 'table') {
+      return;
+    }
+
+    // Show connection info box
+    console.log(boxen(
+      theme.success(theme.icon('launch') + 'Brain CLI Connected!\n\n') +
+      theme.primary('Available commands:\n') +
+      theme.muted('• brain interactive - Start interactive mode\n') +
+      theme.muted('• brain server list - List connected servers\n') +
+      theme.muted('• brain query "your question" - Ask the Brain\n') +
+      theme.muted('• brain status - Show system status'),
+      {
+        padding: 1,
+        margin: 1,
+        borderStyle: 'round',
+        borderColor: theme.borderColor('success')
+      }
+    ));
+  }
+
+  openSocket(url, timeout) {
     return new Promise((resolve, reject) => {
+      let ws;
+      let options;
+
+      try {
+        options = connectionOptions(url, this.config, { token: this.token, warn: (message) => this.warnOnce(message) });
+        ws = new WebSocket(url, options);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      this.ws = ws;
+
       const timeoutId = setTimeout(() => {
-        spinner.error({ text: 'Connection timeout' });
-        reject(new Error('Connection timeout'));
+        ws.terminate();
+        reject(new Error(`Connection timeout after ${timeout}ms`));
       }, timeout);
 
-      this.ws = new WebSocket(url);
-
-      this.ws.on('open', () => {
+      ws.on('open', () => {
         clearTimeout(timeoutId);
         this.connected = true;
-        spinner.success({ text: `Connected to ${url}` });
-        
-        // Show connection info box
-        console.log(boxen(
-          chalk.green('🚀 Brain CLI Connected!\n\n') +
-          chalk.blue('Available commands:\n') +
-          chalk.gray('• brain interactive - Start interactive mode\n') +
-          chalk.gray('• brain server list - List connected servers\n') +
-          chalk.gray('• brain query "your question" - Ask the Brain\n') +
-          chalk.gray('• brain status - Show system status'),
-          {
-            padding: 1,
-            margin: 1,
-            borderStyle: 'round',
-            borderColor: 'green'
-          }
-        ));
-        
-        resolve();
-      });
+        this.logger.info('Connected', { url });
+        this.startHeartbeat();
 
-      this.ws.on('message', (data) => {
-        try {
-          const message = JSON.parse(data.toString());
-          this.handleMessage(message);
-        } catch (error) {
-          console.error(chalk.red('Failed to parse message:'), error);
-        }
+        this.handshake().then(resolve, (error) => {
+          // Not a usable connection, so closing it mustn't trigger a reconnect
+          this.connected = false;
+          ws.terminate();
+          reject(error);
+        });
       });
 
-      this.ws.on('error', (error) => {
+      ws.on('message', (data) => this.receive(data.toString()));
+
+      ws.on('pong', () => this.handlePong());
+
+      // The Brain, or a gateway in front of it, answered the upgrade with plain HTTP
+      ws.on('unexpected-response', (request, response) => {
         clearTimeout(timeoutId);
-        spinner.error({ text: 'Connection failed' });
-        this.connected = false;
+        const error = upgradeError(response.statusCode, response.statusMessage, {
+          authenticated: Boolean(options.headers.Authorization)
+        });
+        this.logger.error('Upgrade rejected', { url, status: response.statusCode });
         reject(error);
+        ws.terminate();
       });
 
-      this.ws.on('close', () => {
-        this.connected = false;
-        console.log(chalk.yellow('Connection closed ⚠️'));
+      ws.on('error', (error) => {
+        // Errors after 'open' are followed by 'close', which drives reconnection
+        clearTimeout(timeoutId);
+        this.logger.error('WebSocket error', { url, error: error.message });
+        reject(describeTlsError(error));
+      });
+
+      ws.on('close', () => {
+        clearTimeout(timeoutId);
+        this.handleClose(ws);
       });
     });
   }
 
+  // Said once per run, not again on every reconnect
+  warnOnce(message) {
+    if (this.warned.has(message)) return;
+
+    this.warned.add(message);
+    this.logger.warn(message);
+    reportWarning(this.output, message);
+  }
+
+  // Agree on a protocol version and learn which optional features the Brain has
+  async handshake() {
+    let hello;
+
+    try {
+      hello = await this.sendCommand('hello', {
+        protocol_version: PROTOCOL_VERSION,
+        capabilities: CAPABILITIES
+      }, { silent: true });
+    } catch {
+      // Brains from before the handshake don't know the command; assume everything works
+      this.protocol = { version: null, capabilities: [...CAPABILITIES] };
+      this.logger.info('No handshake; assuming a legacy Brain', this.protocol);
+      return;
+    }
+
+    this.protocol = negotiate(hello);
+    this.logger.info('Negotiated protocol', this.protocol);
+  }
+
+  supports(capability) {
+    return !this.protocol || this.protocol.capabilities.includes(capability);
+  }
+
+  handleClose(ws) {
+    // Ignore sockets that have already been replaced
+    if (ws !== this.ws) return;
+
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.stopHeartbeat();
+    this.logger.info('Connection closed', { url: this.url, expected: this.closing });
+
+    if (this.activeStream) {
+      this.finishStream();
+    }
+
+    // Requests already on the wire won't get an answer; queued ones can wait
+    this.rejectAllPending(new Error('Connection closed'), (pending) => !pending.queued);
+
+    // Only warn about closes we didn't ask for
+    if (wasConnected && !this.closing) {
+      if (this.output === 'table') {
+        console.log(theme.warning(theme.icon('warning') + 'Connection closed'));
+      }
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectAttempt >= this.reconnectAttempts) {
+      const attempts = this.reconnectAttempt;
+      this.stopReconnect(new Error('Gave up reconnecting to Brain server'));
+      this.emit('gave_up', { attempts });
+      return;
+    }
+
+    this.reconnecting = true;
+    const attempt = ++this.reconnectAttempt;
+    const delay = this.reconnectDelay * 2 ** (attempt - 1);
+
+    this.logger.warn('Reconnecting', { attempt, maxAttempts: this.reconnectAttempts, delay });
+    this.emit('connecting', { attempt, maxAttempts: this.reconnectAttempts, delay });
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+
+      try {
+        await this.openSocket(this.url, this.timeout);
+      } catch (error) {
+        // Retrying won't fix bad credentials
+        if (error.code === 'AUTH_FAILED') {
+          this.reconnectAttempt = this.reconnectAttempts;
+        }
+        if (this.reconnecting) {
+          this.scheduleReconnect();
+        }
+        return;
+      }
+
+      this.reconnecting = false;
+      this.reconnectAttempt = 0;
+      this.flushQueue();
+      this.emit('reconnected', { attempts: attempt });
+    }, delay);
+  }
+
+  stopReconnect(error) {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnecting = false;
+    this.reconnectAttempt = 0;
+    this.offlineQueue = [];
+    this.rejectAllPending(error, (pending) => pending.queued);
+  }
+
+  flushQueue() {
+    const queue = this.offlineQueue;
+    this.offlineQueue = [];
+
+    for (const { requestId, message } of queue) {
+      const pending = this.pendingRequests.get(requestId);
+
+      // Skip commands that timed out while we were offline
+      if (!pending) continue;
+
+      pending.queued = false;
+      this.send(message);
+    }
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.awaitingPong = false;
+
+    this.heartbeatTimer = setInterval(() => {
+      if (this.awaitingPong) {
+        // No pong since the last ping: the connection is half-open
+        this.logger.warn('No pong from Brain server; dropping the connection', { url: this.url });
+        this.ws.terminate();
+        return;
+      }
+
+      this.awaitingPong = true;
+      this.lastPingAt = Date.now();
+      this.ws.ping();
+    }, this.heartbeatInterval);
+
+    // The heartbeat alone shouldn't keep the process alive
+    this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  createSpinner(text) {
+    return createOutputSpinner(this.output, text);
+  }
+
+  handlePong() {
+    this.awaitingPong = false;
+    this.latency = Date.now() - this.lastPingAt;
+    this.emit('heartbeat', { latency: this.latency });
+  }
+
+  // Everything the Brain sends comes through here, from the socket or from a replayed recording
+  receive(text) {
+    let message;
+
+    this.emit('frame', { direction: 'in', text });
+
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      this.logger.frame('in', text);
+      this.handleInvalidFrame(null, [`not valid JSON: ${error.message}`]);
+      return;
+    }
+
+    this.logger.frame('in', text, message);
+    this.handleMessage(message);
+  }
+
   handleMessage(message) {
+    const problems = validateFrame(message);
+
+    if (problems.length > 0) {
+      this.handleInvalidFrame(message, problems);
+      return;
+    }
+
     const { type, ...data } = message;
 
+    if (this.dropCancelled(type, data)) {
+      // The Brain still waits on the tool call, and nobody wants its result any more
+      if (type === 'tool_approval_request') {
+        this.answerApproval(data, { approved: false, reason: 'Query cancelled' });
+      }
+      return;
+    }
+
+    // Recorded before rendering, so the live view can show how long a tool call took
+    if (TRACE_FRAMES.includes(type)) {
+      const trace = this.traceFor(data);
+      if (trace) trace.record(type, data);
+    }
+
+    const pending = this.takePending(type, data);
+
+    // Clear the caller's spinner so it doesn't redraw over the rendered output
+    if (pending && pending.spinner) {
+      pending.spinner.stop();
+    }
+
+    // Silent requests hand their data to the caller without printing anything
+    if (!(pending && pending.silent)) {
+      this.renderMessage(type, data, pending);
+    }
+
+    if (pending) {
+      this.settlePending(pending, type, data);
+    }
+
+    // A replayed recording has nobody waiting for the answer
+    if (type === 'tool_approval_request' && this.connected) {
+      this.approveToolCall(data);
+    }
+
+    this.emit('message', message);
+  }
+
+  // Drop a malformed frame; the request it answers fails now instead of timing out
+  handleInvalidFrame(frame, problems) {
+    const type = frame && typeof frame.type === 'string' ? frame.type : null;
+    const error = new Error(`Malformed ${type || 'unknown'} frame from Brain server: ${problems.join('; ')}`);
+    this.logger.warn('Malformed frame', { problems, frame });
+    const pending = type ? this.takePending(type, frame) : null;
+
+    if (pending) {
+      if (pending.spinner) {
+        pending.spinner.stop();
+      }
+      pending.reject(error);
+    } else {
+      reportInvalidFrame(this.output, error);
+    }
+
+    this.emit('invalid_frame', { frame, problems });
+  }
+
+  renderMessage(type, data, pending) {
+    // Outside table mode the command prints its own result; only events show up here
+    if (this.output !== 'table') {
+      this.trackStream(type, data);
+
+      if (!pending) {
+        printEvent(this.output, { type, ...data });
+      }
+      return;
+    }
+
     switch (type) {
       case 'server_connected':
         this.handleServerConnected(data);
@@ -91,122 +448,446 @@ export class BrainClient extends EventEmitter {
         this.handleServersList(data);
         break;
       case 'query_response':
-        this.handleQueryResponse(data);
+        this.handleQueryResponse(data, pending);
+        break;
+      case 'query_chunk':
+        this.handleQueryChunk(data);
+        break;
+      case 'query_done':
+        this.handleQueryDone(data, pending);
+        break;
+      case 'tool_result':
+        this.handleToolResult(data);
         break;
       case 'thinking':
         this.handleThinking(data);
         break;
+      case 'tool_call':
+        this.handleToolCall(data);
+        break;
+      case 'tool_call_result':
+        this.handleToolCallResult(data);
+        break;
+      case 'tool_approval_request':
+        // Shown by the prompt, if the policy leaves it to one
+        break;
       case 'status':
         this.handleStatus(data);
         break;
       case 'error':
         this.handleError(data);
         break;
+      case 'hello':
+        // Handshake answers are only seen here when a recording is replayed
+        break;
       default:
-        console.log(chalk.gray('Unknown message type:'), type);
+        this.logger.warn('Unknown message type', { frame: { type, ...data } });
+        console.log(theme.muted('Unknown message type:'), type);
     }
-
-    this.emit('message', message);
   }
 
-  async sendCommand(command, params = {}) {
-    if (!this.connected) {
+  async sendCommand(command, params = {}, options = {}) {
+    if (!this.connected && !this.reconnecting) {
       throw new Error('Not connected to Brain server');
     }
 
+    const requestId = String(++this.requestId);
+    const timeout = options.timeout || COMMAND_TIMEOUTS[command] || COMMAND_TIMEOUTS.default;
+
     const message = {
       command,
+      request_id: requestId,
       ...params
     };
 
-    this.ws.send(JSON.stringify(message));
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new Error(`Timed out after ${timeout}ms waiting for ${command} response`));
+      }, timeout);
+
+      const queued = !this.connected;
+
+      this.pendingRequests.set(requestId, {
+        command,
+        expects: options.expects || [RESPONSE_TYPES[command]],
+        spinner: options.spinner,
+        silent: Boolean(options.silent),
+        match: options.match,
+        stream: Boolean(options.stream),
+        trace: options.trace || null,
+        queued,
+        resolve,
+        reject,
+        timeoutId
+      });
+
+      if (options.signal) {
+        options.signal.addEventListener('abort', () => this.cancelRequest(requestId), { once: true });
+      }
+
+      // Hold commands issued while reconnecting until the socket is back
+      if (queued) {
+        this.logger.debug(`Queued ${command} #${requestId} until reconnected`);
+        this.offlineQueue.push({ requestId, message });
+        return;
+      }
+
+      try {
+        this.send(message);
+      } catch (error) {
+        clearTimeout(timeoutId);
+        this.pendingRequests.delete(requestId);
+        reject(error);
+      }
+    });
+  }
+
+  send(message) {
+    const text = JSON.stringify(message);
+
+    this.logger.frame('out', text, message);
+    this.ws.send(text);
+    this.emit('frame', { direction: 'out', text });
+  }
+
+  findPending(type, data) {
+    const completes = (pending) => type === 'error' ||
+      (pending.expects.includes(type) && (!pending.match || pending.match(data)));
+
+    // Prefer an exact match on the echoed request id
+    if (data.request_id !== undefined) {
+      const id = String(data.request_id);
+      const pending = this.pendingRequests.get(id);
+      return pending && completes(pending) ? id : null;
+    }
+
+    // Otherwise fall back to the oldest request waiting for this frame type
+    for (const [id, pending] of this.pendingRequests) {
+      if (completes(pending)) {
+        return id;
+      }
+    }
+
+    return null;
+  }
+
+  // The trace of the query a frame belongs to, by request id or else the oldest traced query
+  traceFor(data) {
+    if (data.request_id !== undefined) {
+      const pending = this.pendingRequests.get(String(data.request_id));
+      return pending ? pending.trace : null;
+    }
+
+    for (const pending of this.pendingRequests.values()) {
+      if (pending.trace) return pending.trace;
+    }
+    return null;
+  }
+
+  takePending(type, data) {
+    const id = this.findPending(type, data);
+    if (id === null) return null;
+
+    const pending = this.pendingRequests.get(id);
+    clearTimeout(pending.timeoutId);
+    this.pendingRequests.delete(id);
+    return pending;
+  }
+
+  settlePending(pending, type, data) {
+    if (type === 'error') {
+      pending.reject(new Error(data.error || 'Unknown error from Brain server'));
+    } else {
+      pending.resolve(data);
+    }
+  }
+
+  // Stop waiting for a request; the Brain may still answer, and those frames are dropped
+  cancelRequest(requestId) {
+    const pending = this.pendingRequests.get(requestId);
+    if (!pending) return false;
+
+    clearTimeout(pending.timeoutId);
+    this.pendingRequests.delete(requestId);
+
+    if (pending.spinner) {
+      pending.spinner.stop();
+    }
+    if (pending.stream && this.activeStream) {
+      this.finishStream();
+    }
+
+    this.cancelledRequests.set(requestId, pending.expects);
+
+    const error = new Error(`Cancelled ${pending.command}`);
+    error.code = 'CANCELLED';
+    pending.reject(error);
+    return true;
+  }
+
+  dropCancelled(type, data) {
+    const id = data.request_id === undefined ? null : String(data.request_id);
+    if (id === null || !this.cancelledRequests.has(id)) return false;
+
+    // The last frame of the cancelled request; nothing more will come for it
+    if (type === 'error' || this.cancelledRequests.get(id).includes(type)) {
+      this.cancelledRequests.delete(id);
+    }
+    return true;
+  }
+
+  rejectAllPending(error, filter = () => true) {
+    for (const [id, pending] of this.pendingRequests) {
+      if (!filter(pending)) continue;
+
+      clearTimeout(pending.timeoutId);
+      this.pendingRequests.delete(id);
+      pending.reject(error);
+    }
   }
 
   async connectServer(serverId, serverConfig) {
-    const spinner = createSpinner(`Connecting to server: ${serverId}...`).start();
+    const spinner = this.createSpinner(`Connecting to server: ${serverId}...`).start();
     
     try {
-      await this.sendCommand('connect_server', {
+      const result = await this.sendCommand('connect_server', {
         server_id: serverId,
         server_config: serverConfig
-      });
+      }, { spinner });
       spinner.success({ text: `Server ${serverId} connected successfully` });
+      return result;
     } catch (error) {
       spinner.error({ text: `Failed to connect server: ${serverId}` });
       throw error;
     }
   }
 
+  async disconnectServer(serverId) {
+    const spinner = this.createSpinner(`Disconnecting server: ${serverId}...`).start();
+    this.expectedDisconnects.add(serverId);
+
+    try {
+      // Unsolicited server_disconnected events for other servers mustn't settle this one
+      const result = await this.sendCommand('disconnect_server', { server_id: serverId }, {
+        spinner,
+        match: (data) => data.server_id === serverId
+      });
+      spinner.success({ text: `Server ${serverId} disconnected successfully` });
+      return result;
+    } catch (error) {
+      spinner.error({ text: `Failed to disconnect server: ${serverId}` });
+      throw error;
+    } finally {
+      this.expectedDisconnects.delete(serverId);
+    }
+  }
+
+  async fetchServers() {
+    const { servers } = await this.sendCommand('get_servers', {}, { silent: true });
+    return Object.values(servers || {});
+  }
+
+  async fetchTools(serverId) {
+    const { tools } = await this.sendCommand('list_tools', { server_id: serverId }, { silent: true });
+    return tools || [];
+  }
+
+  // Fan list_tools out to every connected server; one failing server doesn't sink the rest
+  async fetchAllTools() {
+    const servers = await this.fetchServers();
+
+    return Promise.all(servers.map(async (server) => {
+      try {
+        return { server_id: server.id, tools: await this.fetchTools(server.id) };
+      } catch (error) {
+        return { server_id: server.id, tools: [], error: error.message };
+      }
+    }));
+  }
+
   async listServers() {
-    const spinner = createSpinner('Fetching connected servers...').start();
-    await this.sendCommand('get_servers');
-    spinner.stop();
+    const spinner = this.createSpinner('Fetching connected servers...').start();
+
+    try {
+      const { servers } = await this.sendCommand('get_servers', {}, { spinner });
+      spinner.stop();
+      return Object.values(servers || {});
+    } catch (error) {
+      spinner.error({ text: 'Failed to fetch servers' });
+      throw error;
+    }
   }
 
   async listTools(serverId) {
-    const spinner = createSpinner(`Fetching tools from ${serverId}...`).start();
-    await this.sendCommand('list_tools', { server_id: serverId });
-    spinner.stop();
+    const spinner = this.createSpinner(`Fetching tools from ${serverId}...`).start();
+
+    try {
+      const { tools } = await this.sendCommand('list_tools', { server_id: serverId }, { spinner });
+      spinner.stop();
+      return tools || [];
+    } catch (error) {
+      spinner.error({ text: `Failed to fetch tools from ${serverId}` });
+      throw error;
+    }
+  }
+
+  async callTool(serverId, toolName, args = {}) {
+    if (!this.supports('tool_calls')) {
+      throw new Error('This Brain server does not support direct tool calls');
+    }
+
+    const spinner = this.createSpinner(`Calling ${toolName} on ${serverId}...`).start();
+
+    try {
+      const result = await this.sendCommand('call_tool', {
+        server_id: serverId,
+        tool_name: toolName,
+        arguments: args
+      }, { spinner });
+
+      if (result.is_error) {
+        throw new Error(toolResultText(result.result) || `Tool ${toolName} failed`);
+      }
+
+      return result.result;
+    } catch (error) {
+      spinner.error({ text: `Tool call failed: ${toolName}` });
+      throw error;
+    }
   }
 
   async sendQuery(query, options = {}) {
-    console.log(boxen(
-      chalk.blue('🧠 Query: ') + chalk.white(query),
-      { padding: 1, borderColor: 'blue', borderStyle: 'round' }
-    ));
+    // When streaming into a pipe, stdout carries nothing but the answer
+    const decorate = this.output === 'table' && (!options.stream || process.stdout.isTTY);
+
+    if (decorate) {
+      console.log(boxen(
+        theme.primary(theme.icon('brain') + 'Query: ') + theme.text(query),
+        { padding: 1, borderColor: theme.borderColor('primary'), borderStyle: 'round' }
+      ));
+    }
+
+    const params = { query };
+
+    if (options.conversationId && this.supports('conversations')) {
+      params.conversation_id = options.conversationId;
+    }
+    // Callers pass their own trace to keep it, e.g. for --trace
+    const trace = options.trace || new QueryTrace(query);
+    const commandOptions = { timeout: options.timeout, signal: options.signal, trace };
+
+    // Servers without streaming get a plain query and answer with query_response
+    if (options.stream && this.supports('streaming')) {
+      params.stream = true;
+      commandOptions.stream = true;
+      // Servers that can't stream answer with a plain query_response instead
+      commandOptions.expects = ['query_done', 'query_response'];
+    }
+
+    const startedAt = Date.now();
+
+    try {
+      const { response } = await this.sendCommand('query', params, commandOptions);
+      trace.finish();
+
+      if (decorate && !trace.empty) {
+        console.log(renderTrace(trace) + '\n');
+      }
+
+      this.emit('query_finished', { query, duration: Date.now() - startedAt, trace });
+      return response;
+    } catch (error) {
+      trace.finish({ error });
+      this.emit('query_finished', { query, duration: Date.now() - startedAt, trace, error });
+      throw error;
+    }
+  }
 
-    await this.sendCommand('query', { query });
+  // Ask the policy, and maybe the user, then tell the Brain whether the call may run
+  async approveToolCall(data) {
+    let decision;
+
+    try {
+      decision = await this.approvals.decide(data, { canAsk: this.output === 'table' });
+    } catch (error) {
+      decision = { approved: false, reason: error.message };
+    }
+
+    this.answerApproval(data, decision);
   }
 
-  async showStatus() {
-    const spinner = createSpinner('Getting system status...').start();
-    
-    if (this.connected) {
-      await this.sendCommand('get_servers');
-      spinner.success({ text: 'System status retrieved' });
+  answerApproval(data, { approved, reason }) {
+    this.logger.info('Tool approval', { server_id: data.server_id, tool_name: data.tool_name, approved, reason });
+
+    if (this.output === 'table') {
+      this.handleApprovalDecision(data, { approved, reason });
     } else {
-      spinner.error({ text: 'Not connected to Brain server' });
+      printEvent(this.output, {
+        type: 'tool_approval',
+        approval_id: data.approval_id,
+        server_id: data.server_id,
+        tool_name: data.tool_name,
+        approved,
+        reason
+      });
+    }
+
+    this.emit('tool_approval', { ...data, approved, reason });
+
+    // The query may have ended, or the connection dropped, while the user decided
+    if (!this.connected) return;
+
+    try {
+      this.send({ command: 'approve_tool', approval_id: data.approval_id, approved, reason });
+    } catch (error) {
+      this.logger.warn('Could not answer tool approval', { approval_id: data.approval_id, error: error.message });
     }
   }
 
+  // Servers plus the round trip of the request, for the status view
+  async fetchStatus() {
+    const startedAt = Date.now();
+    const servers = await this.fetchServers();
+
+    return { servers, roundTrip: Date.now() - startedAt };
+  }
+
   handleServerConnected(data) {
     const { server } = data;
     console.log(boxen(
-      chalk.green('✅ Server Connected\n\n') +
-      chalk.blue('ID: ') + chalk.white(server.id) + '\n' +
-      chalk.blue('Status: ') + chalk.green(server.status) + '\n' +
-      chalk.blue('Tools: ') + chalk.cyan(server.tools_count),
-      { padding: 1, borderColor: 'green', borderStyle: 'round' }
+      theme.success(theme.icon('success') + 'Server Connected\n\n') +
+      theme.primary('ID: ') + theme.text(server.id) + '\n' +
+      theme.primary('Status: ') + theme.success(server.status) + '\n' +
+      theme.primary('Tools: ') + theme.accent(server.tools_count),
+      { padding: 1, borderColor: theme.borderColor('success'), borderStyle: 'round' }
     ));
   }
 
   handleServerDisconnected(data) {
-    console.log(chalk.yellow(`🔌 Server disconnected: ${data.server_id}`));
+    console.log(theme.warning(`${theme.icon('disconnect')}Server disconnected: ${data.server_id}`));
   }
 
   handleToolsList(data) {
     const { server_id, tools } = data;
     
-    console.log(chalk.blue(`\n🛠️  Tools available on server: ${chalk.cyan(server_id)}\n`));
+    console.log(theme.primary(`\n${theme.icon('tools')}Tools available on server: ${theme.accent(server_id)}\n`));
     
     if (tools.length === 0) {
-      console.log(chalk.gray('No tools available'));
+      console.log(theme.muted('No tools available'));
       return;
     }
 
     const table = new Table({
-      head: [chalk.blue('Tool Name'), chalk.blue('Description')],
+      head: [theme.primary('Tool Name'), theme.primary('Description')],
       colWidths: [25, 60],
-      style: {
-        head: [],
-        border: ['cyan']
-      }
+      style: theme.tableStyle()
     });
 
     tools.forEach(tool => {
       table.push([
-        chalk.green(tool.name),
-        chalk.white(tool.description || 'No description')
+        theme.success(tool.name),
+        theme.text(tool.description || 'No description')
       ]);
     });
 
@@ -216,71 +897,204 @@ export class BrainClient extends EventEmitter {
   handleServersList(data) {
     const { servers } = data;
     
-    console.log(chalk.blue('\n🖥️  Connected MCP Servers\n'));
+    console.log(theme.primary('\n' + theme.icon('servers') + 'Connected MCP Servers\n'));
     
-    if (servers.length === 0) {
-      console.log(chalk.gray('No servers connected'));
+    const serverList = Object.values(servers);
+
+    if (serverList.length === 0) {
+      console.log(theme.muted('No servers connected'));
       return;
     }
 
     const table = new Table({
-      head: [chalk.blue('Server ID'), chalk.blue('Status'), chalk.blue('Tools Count')],
-      style: {
-        head: [],
-        border: ['cyan']
-      }
+      head: [theme.primary('Server ID'), theme.primary('Status'), theme.primary('Tools Count')],
+      style: theme.tableStyle()
     });
 
-    const serverList = Object.values(servers);
-
     serverList.forEach(server => {
       table.push([
-        chalk.green(server.id),
-        server.status === 'connected' ? chalk.green('●') + ' Connected' : chalk.red('●') + ' Disconnected',
-        chalk.cyan(server.tools_count.toString())
+        theme.success(server.id),
+        server.status === 'connected' ? theme.success('●') + ' Connected' : theme.error('●') + ' Disconnected',
+        theme.accent(String(server.tools_count ?? 0))
       ]);
     });
 
     console.log(table.toString());
   }
 
-  handleQueryResponse(data) {
+  handleQueryResponse(data, pending = null) {
     const { query, response } = data;
-    
+
+    // A final response after streamed chunks only closes off the stream
+    if (this.activeStream) {
+      this.finishStream();
+      return;
+    }
+
+    // Non-streaming fallback for a streamed query piped elsewhere: plain text only
+    if (pending && pending.stream && !process.stdout.isTTY) {
+      process.stdout.write(response.endsWith('\n') ? response : response + '\n');
+      return;
+    }
+
+    // No box around the answer, so its code can be selected and copied
+    console.log('\n' + theme.success(theme.icon('response') + 'Brain Response:') + '\n');
+    console.log(this.rawResponses ? response : renderMarkdown(response, { codeBorders: this.codeBorders }));
+    console.log('');
+  }
+
+  handleQueryChunk(data) {
+    const chunk = data.chunk || '';
+
+    if (!this.activeStream) {
+      // Piped output gets the text exactly as it arrives
+      const render = process.stdout.isTTY && !this.rawResponses;
+      this.activeStream = { text: '', markdown: render ? new MarkdownStream({ codeBorders: this.codeBorders }) : null };
+
+      if (process.stdout.isTTY) {
+        process.stdout.write('\n' + theme.success(theme.icon('response') + 'Brain Response:') + '\n\n');
+      }
+    }
+
+    const { markdown } = this.activeStream;
+    this.activeStream.text += chunk;
+    process.stdout.write(markdown ? markdown.push(chunk) : theme.text(chunk));
+  }
+
+  handleQueryDone(data, pending = null) {
+    // A done frame without chunks carries the whole answer
+    if (!this.activeStream) {
+      if (data.response !== undefined) {
+        this.handleQueryResponse(data, pending);
+      }
+      return;
+    }
+
+    if (data.response === undefined) {
+      data.response = this.activeStream.text;
+    }
+
+    this.finishStream();
+  }
+
+  // Keep streamed text so query_done carries the full response in every output mode
+  trackStream(type, data) {
+    if (type === 'query_chunk') {
+      this.activeStream = this.activeStream || { text: '' };
+      this.activeStream.text += data.chunk || '';
+    } else if ((type === 'query_done' || type === 'query_response') && this.activeStream) {
+      if (data.response === undefined) {
+        data.response = this.activeStream.text;
+      }
+      this.activeStream = null;
+    }
+  }
+
+  finishStream() {
+    const { text, markdown } = this.activeStream;
+    this.activeStream = null;
+
+    if (markdown) {
+      process.stdout.write(markdown.end());
+      return;
+    }
+
+    if (this.output === 'table' && !text.endsWith('\n')) {
+      process.stdout.write('\n');
+    }
+  }
+
+  handleToolResult(data) {
+    const { tool_name, server_id, result, is_error } = data;
+    const role = is_error ? 'error' : 'success';
+
     console.log(boxen(
-      chalk.green('🤖 Brain Response:\n\n') + chalk.white(response),
+      theme[role](`${theme.icon(is_error ? 'error' : 'tool')}${tool_name}`) + theme.muted(` on ${server_id}\n\n`) +
+      theme.text(toolResultText(result)),
       {
         padding: 1,
         margin: 1,
-        borderColor: 'green',
+        borderColor: theme.borderColor(role),
         borderStyle: 'round'
       }
     ));
   }
 
   handleThinking(data) {
-    console.log(chalk.yellow('🤔 ') + chalk.gray(data.message));
+    const agent = data.agent ? theme.accent(`${data.agent} `) : '';
+    console.log(theme.warning(theme.icon('thinking')) + agent + theme.muted(data.message));
+  }
+
+  // Tool calls the Brain's agents make, indented under the step that made them
+  handleToolCall(data) {
+    const call = { serverId: data.server_id, toolName: data.tool_name };
+    const args = data.arguments ? ' ' + truncate(JSON.stringify(data.arguments), 60) : '';
+    console.log('   ' + theme.accent(theme.icon('tool') + toolCallName(call)) + theme.muted(args));
+  }
+
+  handleToolCallResult(data) {
+    const trace = this.traceFor(data);
+    const call = trace ? trace.calls.get(String(data.call_id)) : null;
+    const name = call ? toolCallName(call) : (data.tool_name || `call ${data.call_id}`);
+    const took = call ? theme.muted(` in ${formatTraceDuration(call.finishedAt - call.startedAt)}`) : '';
+
+    if (data.is_error) {
+      console.log('      ' + theme.error(`${theme.icon('error')}${name} failed`) + took + theme.muted(`: ${truncate(toolResultText(data.result), 80)}`));
+    } else {
+      console.log('      ' + theme.success(`${theme.icon('success')}${name}`) + took);
+    }
+  }
+
+  handleApprovalDecision(data, { approved, reason }) {
+    const name = toolCallName({ serverId: data.server_id, toolName: data.tool_name });
+    const verdict = approved
+      ? theme.success(`${theme.icon('approval')}Allowed ${name}`)
+      : theme.error(`${theme.icon('approval')}Denied ${name}`);
+
+    console.log('   ' + verdict + theme.muted(` (${reason})`));
   }
 
   handleStatus(data) {
-    console.log(chalk.blue('📊 Status:'), data);
+    console.log(theme.primary(theme.icon('status') + 'Status:'), data);
   }
 
   handleError(data) {
     console.error(boxen(
-      chalk.red('❌ Error\n\n') + chalk.white(data.error),
+      theme.error(theme.icon('error') + 'Error\n\n') + theme.text(data.error),
       {
         padding: 1,
-        borderColor: 'red',
+        borderColor: theme.borderColor('error'),
         borderStyle: 'round'
       }
     ));
   }
 
   disconnect() {
-    if (this.ws) {
-      this.ws.close();
+    this.closing = true;
+    this.stopReconnect(new Error('Disconnected from Brain server'));
+    this.stopHeartbeat();
+
+    if (!this.ws || this.ws.readyState === WebSocket.CLOSED) {
       this.connected = false;
+      return Promise.resolve();
     }
+
+    const ws = this.ws;
+
+    return new Promise((resolve) => {
+      // Don't wait forever on a peer that never completes the close handshake
+      const timeoutId = setTimeout(() => {
+        ws.terminate();
+        resolve();
+      }, 2000);
+
+      ws.once('close', () => {
+        clearTimeout(timeoutId);
+        resolve();
+      });
+
+      ws.close();
+      this.connected = false;
+    });
   }
 }
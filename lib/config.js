@@ -0,0 +1,270 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const CONFIG_DIR_NAME = 'brain-surf';
+export const PROJECT_CONFIG_FILE = '.brainrc.json';
+
+// Every setting the CLI understands, with its environment variable and default
+export const CONFIG_KEYS = {
+  url: {
+    env: 'BRAIN_WS_URL',
+    type: 'string',
+    default: 'ws://localhost:3789',
+    description: 'Brain WebSocket server URL'
+  },
+  timeout: {
+    env: 'BRAIN_WS_TIMEOUT',
+    type: 'number',
+    default: 5000,
+    description: 'Connection timeout in milliseconds'
+  },
+  colorTheme: {
+    env: 'CLI_COLOR_THEME',
+    type: 'string',
+    default: 'rainbow',
+    description: 'Color theme'
+  },
+  showTimestamps: {
+    env: 'CLI_SHOW_TIMESTAMPS',
+    type: 'boolean',
+    default: true,
+    description: 'Show timestamps on events'
+  },
+  toolPolicy: {
+    env: 'CLI_TOOL_POLICY',
+    type: 'string',
+    default: '',
+    description: 'Policy file for tool calls the Brain asks to run (default: tool-policy.json in the user config dir)',
+    // A cloned repo's .brainrc.json mustn't be able to point this at its own allow-all policy
+    trusted: true
+  },
+  codeBorders: {
+    env: 'CLI_CODE_BORDERS',
+    type: 'boolean',
+    default: true,
+    description: 'Draw borders around code blocks in responses'
+  },
+  notifications: {
+    env: 'CLI_NOTIFICATIONS',
+    type: 'boolean',
+    default: true,
+    description: 'Desktop notifications for long queries and server disconnects'
+  },
+  notificationThreshold: {
+    env: 'CLI_NOTIFICATION_THRESHOLD',
+    type: 'number',
+    default: 10000,
+    description: 'Notify when a query takes at least this many milliseconds'
+  },
+  notificationSounds: {
+    env: 'CLI_NOTIFICATION_SOUNDS',
+    type: 'boolean',
+    default: false,
+    description: 'Play sounds with notifications'
+  },
+  debug: {
+    env: 'DEBUG_MODE',
+    type: 'boolean',
+    default: false,
+    description: 'Enable debug output'
+  },
+  logLevel: {
+    env: 'LOG_LEVEL',
+    type: 'string',
+    default: 'info',
+    description: 'Log level (error, warn, info, debug)'
+  },
+  logFile: {
+    env: 'CLI_LOG_FILE',
+    type: 'string',
+    default: '',
+    description: 'Write structured logs to this file, rotating it as it grows'
+  },
+  logMaxSize: {
+    env: 'CLI_LOG_MAX_SIZE',
+    type: 'number',
+    default: 5242880,
+    description: 'Rotate the log file once it reaches this many bytes'
+  },
+  caFile: {
+    env: 'BRAIN_CA_FILE',
+    type: 'string',
+    default: '',
+    description: 'CA bundle (PEM) to trust for wss:// URLs',
+    // Like toolPolicy: a cloned repo mustn't swap in its own CA or send the user's client certificate elsewhere
+    trusted: true
+  },
+  clientCert: {
+    env: 'BRAIN_CLIENT_CERT',
+    type: 'string',
+    default: '',
+    description: 'Client certificate (PEM) for wss:// URLs',
+    trusted: true
+  },
+  clientKey: {
+    env: 'BRAIN_CLIENT_KEY',
+    type: 'string',
+    default: '',
+    description: 'Private key (PEM) for the client certificate',
+    trusted: true
+  },
+  maxConcurrentConnections: {
+    env: 'MAX_CONCURRENT_CONNECTIONS',
+    type: 'number',
+    default: 5,
+    description: 'Maximum concurrent requests'
+  },
+  reconnectAttempts: {
+    env: 'RECONNECT_ATTEMPTS',
+    type: 'number',
+    default: 3,
+    description: 'Reconnection attempts before giving up'
+  },
+  reconnectDelay: {
+    env: 'RECONNECT_DELAY',
+    type: 'number',
+    default: 2000,
+    description: 'Initial reconnection delay in milliseconds'
+  }
+};
+
+export function getUserConfigDir() {
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, CONFIG_DIR_NAME);
+}
+
+export function getUserConfigPath() {
+  return path.join(getUserConfigDir(), 'config.json');
+}
+
+// Conversations and other state live under the XDG data dir, not next to config
+export function getUserDataDir() {
+  const base = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  return path.join(base, CONFIG_DIR_NAME);
+}
+
+export function getProjectConfigPath(cwd = process.cwd()) {
+  return path.join(cwd, PROJECT_CONFIG_FILE);
+}
+
+export function isConfigKey(key) {
+  return Object.prototype.hasOwnProperty.call(CONFIG_KEYS, key);
+}
+
+export function coerceValue(key, raw) {
+  const { type } = CONFIG_KEYS[key];
+
+  if (type === 'number') {
+    const value = Number(raw);
+    if (raw === '' || Number.isNaN(value)) {
+      throw new Error(`Invalid value for ${key}: expected a number, got "${raw}"`);
+    }
+    return value;
+  }
+
+  if (type === 'boolean') {
+    if (typeof raw === 'boolean') return raw;
+
+    const normalized = String(raw).toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+    if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+    throw new Error(`Invalid value for ${key}: expected true or false, got "${raw}"`);
+  }
+
+  return String(raw);
+}
+
+export function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid config file ${filePath}: ${error.message}`);
+  }
+}
+
+export function writeConfigFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
+}
+
+// Merge every layer, later ones winning: defaults, user file, project file, env, CLI flags.
+// Trusted keys skip the project file; the ones it tried to set come back in ignored
+export function resolveConfig(flags = {}, { cwd = process.cwd(), env = process.env } = {}) {
+  const layers = [
+    ['user', readConfigFile(getUserConfigPath())],
+    ['project', readConfigFile(getProjectConfigPath(cwd))],
+    ['env', Object.fromEntries(
+      Object.entries(CONFIG_KEYS)
+        .filter(([, spec]) => env[spec.env] !== undefined && env[spec.env] !== '')
+        .map(([key, spec]) => [key, env[spec.env]])
+    )],
+    ['flag', flags]
+  ];
+
+  const values = {};
+  const sources = {};
+  const ignored = [];
+
+  for (const [key, spec] of Object.entries(CONFIG_KEYS)) {
+    values[key] = spec.default;
+    sources[key] = 'default';
+  }
+
+  for (const [source, layer] of layers) {
+    for (const [key, raw] of Object.entries(layer)) {
+      if (!isConfigKey(key) || raw === undefined) continue;
+
+      if (source === 'project' && CONFIG_KEYS[key].trusted) {
+        ignored.push(key);
+        continue;
+      }
+
+      values[key] = coerceValue(key, raw);
+      sources[key] = source;
+    }
+  }
+
+  return { values, sources, ignored };
+}
+
+export function loadConfig(flags = {}, options = {}) {
+  return resolveConfig(flags, options).values;
+}
+
+function getTargetPath({ project = false, cwd = process.cwd() } = {}) {
+  return project ? getProjectConfigPath(cwd) : getUserConfigPath();
+}
+
+export function setConfigValue(key, raw, options = {}) {
+  if (!isConfigKey(key)) {
+    throw new Error(`Unknown config key: ${key}`);
+  }
+  if (options.project && CONFIG_KEYS[key].trusted) {
+    throw new Error(`${key} can only be set in the user config file, not ${PROJECT_CONFIG_FILE}`);
+  }
+
+  const filePath = getTargetPath(options);
+  const data = readConfigFile(filePath);
+  data[key] = coerceValue(key, raw);
+  writeConfigFile(filePath, data);
+
+  return filePath;
+}
+
+export function unsetConfigValue(key, options = {}) {
+  if (!isConfigKey(key)) {
+    throw new Error(`Unknown config key: ${key}`);
+  }
+
+  const filePath = getTargetPath(options);
+  const data = readConfigFile(filePath);
+  delete data[key];
+  writeConfigFile(filePath, data);
+
+  return filePath;
+}
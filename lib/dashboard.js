@@ -0,0 +1,392 @@
+import blessed from 'blessed';
+
+import { SILENT_OUTPUT } from './output.js';
+import { truncate } from './utils.js';
+
+// How often the servers pane is refreshed when nothing else triggers it
+const REFRESH_INTERVAL = 10000;
+
+// Frame types that end up in the event log
+const LOGGED_TYPES = ['thinking', 'tool_approval_request', 'status', 'error', 'server_connected', 'server_disconnected'];
+
+// One line of the event log; everything from the Brain is escaped so it can't inject blessed tags
+export function formatEvent(type, data) {
+  switch (type) {
+    case 'thinking':
+      return `{yellow-fg}thinking{/yellow-fg} ${blessed.escape(String(data.message))}`;
+    case 'tool_approval_request':
+      return `{yellow-fg}approval asked{/yellow-fg} ${blessed.escape(`${data.server_id}/${data.tool_name} ${truncate(JSON.stringify(data.arguments || {}), 60)}`)}`;
+    case 'tool_approval':
+      return (data.approved ? '{green-fg}tool allowed{/green-fg} ' : '{red-fg}tool denied{/red-fg} ') +
+        blessed.escape(`${data.server_id}/${data.tool_name}: ${data.reason}`);
+    case 'status':
+      return `{blue-fg}status{/blue-fg} ${blessed.escape(JSON.stringify(data))}`;
+    case 'error':
+      return `{red-fg}error{/red-fg} ${blessed.escape(String(data.error))}`;
+    case 'server_connected':
+      return `{green-fg}server connected{/green-fg} ${blessed.escape(String(data.server && data.server.id))}`;
+    case 'server_disconnected':
+      return `{yellow-fg}server disconnected{/yellow-fg} ${blessed.escape(String(data.server_id))}`;
+    default:
+      return blessed.escape(type);
+  }
+}
+
+// One line of the servers pane: status dot, id and tool count
+export function formatServerItem(server) {
+  const color = server.status === 'connected' ? 'green' : 'red';
+  return `{${color}-fg}●{/${color}-fg} ${blessed.escape(server.id)} {gray-fg}(${server.tools_count ?? 0}){/gray-fg}`;
+}
+
+export class Dashboard {
+  constructor(brainClient) {
+    this.client = brainClient;
+    this.screen = null;
+    this.widgets = {};
+    this.servers = [];
+    this.selectedServer = null;
+    this.connectionStatus = 'disconnected';
+    this.refreshTimer = null;
+    this.querying = false;
+    this.streamedText = '';
+  }
+
+  async start(url = this.client.config.url, timeout = this.client.config.timeout) {
+    // Frames are drawn by the dashboard itself, so keep the client from printing
+    this.client.output = SILENT_OUTPUT;
+
+    await this.client.connect(url, timeout, { quiet: true });
+    this.connectionStatus = 'connected';
+    this.url = url;
+
+    this.createLayout();
+    this.bindKeys();
+    this.bindClientEvents();
+
+    this.log('{green-fg}Connected to ' + blessed.escape(url) + '{/green-fg}');
+    await this.refreshServers();
+
+    this.refreshTimer = setInterval(() => this.refreshServers(), REFRESH_INTERVAL);
+    this.widgets.servers.focus();
+    this.screen.render();
+  }
+
+  createLayout() {
+    this.screen = blessed.screen({
+      smartCSR: true,
+      title: 'Brain Dashboard',
+      fullUnicode: true
+    });
+
+    const border = { type: 'line' };
+    const focusStyle = { border: { fg: 'cyan' }, focus: { border: { fg: 'green' } } };
+
+    this.widgets.header = blessed.box({
+      parent: this.screen,
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: 1,
+      tags: true,
+      style: { bg: 'blue', fg: 'white' }
+    });
+
+    this.widgets.servers = blessed.list({
+      parent: this.screen,
+      label: ' Servers ',
+      top: 1,
+      left: 0,
+      width: '30%',
+      height: '50%-1',
+      border,
+      tags: true,
+      keys: true,
+      vi: true,
+      mouse: true,
+      style: { ...focusStyle, selected: { bg: 'blue' } }
+    });
+
+    this.widgets.tools = blessed.list({
+      parent: this.screen,
+      label: ' Tools ',
+      top: '50%',
+      left: 0,
+      width: '30%',
+      height: '50%-4',
+      border,
+      tags: true,
+      keys: true,
+      vi: true,
+      mouse: true,
+      style: { ...focusStyle, selected: { bg: 'blue' } }
+    });
+
+    this.widgets.events = blessed.log({
+      parent: this.screen,
+      label: ' Events ',
+      top: 1,
+      left: '30%',
+      width: '70%',
+      height: '40%-1',
+      border,
+      tags: true,
+      keys: true,
+      vi: true,
+      mouse: true,
+      scrollback: 1000,
+      scrollbar: { ch: ' ', style: { bg: 'cyan' } },
+      style: focusStyle
+    });
+
+    this.widgets.response = blessed.box({
+      parent: this.screen,
+      label: ' Response ',
+      top: '40%',
+      left: '30%',
+      width: '70%',
+      height: '60%-4',
+      border,
+      tags: true,
+      keys: true,
+      vi: true,
+      mouse: true,
+      scrollable: true,
+      alwaysScroll: true,
+      scrollbar: { ch: ' ', style: { bg: 'cyan' } },
+      style: focusStyle
+    });
+
+    this.widgets.input = blessed.textbox({
+      parent: this.screen,
+      label: ' Query (i to type, Enter to send, Esc to leave) ',
+      bottom: 1,
+      left: 0,
+      width: '100%',
+      height: 3,
+      border,
+      inputOnFocus: true,
+      style: focusStyle
+    });
+
+    this.widgets.footer = blessed.box({
+      parent: this.screen,
+      bottom: 0,
+      left: 0,
+      width: '100%',
+      height: 1,
+      tags: true,
+      content: ' {bold}Tab{/bold} next pane  {bold}Enter{/bold} select server  ' +
+        '{bold}i{/bold} query  {bold}r{/bold} refresh  {bold}c{/bold} clear log  {bold}q{/bold} quit',
+      style: { bg: 'black', fg: 'gray' }
+    });
+
+    this.focusOrder = ['servers', 'tools', 'events', 'response', 'input'];
+    this.updateHeader();
+  }
+
+  bindKeys() {
+    const { screen, widgets } = this;
+
+    screen.key(['q', 'C-c'], () => this.stop());
+    screen.key(['tab'], () => this.cycleFocus(1));
+    screen.key(['S-tab'], () => this.cycleFocus(-1));
+    screen.key(['i', '/'], () => widgets.input.focus());
+    screen.key(['r'], () => this.refreshServers());
+    screen.key(['c'], () => {
+      widgets.events.setContent('');
+      screen.render();
+    });
+
+    widgets.servers.on('select', (item, index) => {
+      const server = this.servers[index];
+      if (server) {
+        this.selectServer(server.id);
+      }
+    });
+
+    widgets.input.on('submit', (value) => {
+      widgets.input.clearValue();
+      screen.render();
+
+      if (value.trim()) {
+        this.runQuery(value.trim());
+      }
+    });
+
+    widgets.input.on('cancel', () => {
+      widgets.servers.focus();
+      screen.render();
+    });
+  }
+
+  bindClientEvents() {
+    this.onMessage = (message) => this.handleMessage(message);
+    this.onConnecting = ({ attempt, maxAttempts, delay }) => {
+      this.connectionStatus = 'connecting';
+      this.log(`{yellow-fg}Reconnecting in ${delay / 1000}s (attempt ${attempt}/${maxAttempts}){/yellow-fg}`);
+      this.updateHeader();
+    };
+    this.onReconnected = () => {
+      this.connectionStatus = 'connected';
+      this.log('{green-fg}Reconnected{/green-fg}');
+      this.updateHeader();
+      this.refreshServers();
+    };
+    this.onGaveUp = ({ attempts }) => {
+      this.connectionStatus = 'disconnected';
+      this.log(`{red-fg}Gave up reconnecting after ${attempts} attempts{/red-fg}`);
+      this.updateHeader();
+    };
+    this.onHeartbeat = () => this.updateHeader();
+    this.onInvalidFrame = ({ problems }) => {
+      this.log(`{yellow-fg}malformed frame{/yellow-fg} ${blessed.escape(problems.join('; '))}`);
+    };
+    // Nobody is prompted here, so show what the policy decided and why
+    this.onToolApproval = (decision) => this.log(formatEvent('tool_approval', decision));
+
+    this.client.on('message', this.onMessage);
+    this.client.on('connecting', this.onConnecting);
+    this.client.on('reconnected', this.onReconnected);
+    this.client.on('gave_up', this.onGaveUp);
+    this.client.on('heartbeat', this.onHeartbeat);
+    this.client.on('invalid_frame', this.onInvalidFrame);
+    this.client.on('tool_approval', this.onToolApproval);
+  }
+
+  handleMessage(message) {
+    const { type, ...data } = message;
+
+    if (LOGGED_TYPES.includes(type)) {
+      this.log(formatEvent(type, data));
+    }
+
+    if (type === 'server_connected' || type === 'server_disconnected') {
+      this.refreshServers();
+    }
+
+    if (type === 'query_chunk' && this.querying) {
+      const { response } = this.widgets;
+      this.streamedText += data.chunk || '';
+      response.setContent(blessed.escape(this.streamedText));
+      response.setScrollPerc(100);
+      this.screen.render();
+    }
+  }
+
+  async refreshServers() {
+    try {
+      this.servers = await this.client.fetchServers();
+    } catch (error) {
+      this.log(`{red-fg}Failed to fetch servers: ${blessed.escape(error.message)}{/red-fg}`);
+      return;
+    }
+
+    const { servers } = this.widgets;
+    const selected = servers.selected;
+
+    servers.setItems(this.servers.map(formatServerItem));
+    servers.select(Math.min(selected, Math.max(this.servers.length - 1, 0)));
+
+    // Drop the tools pane if its server went away
+    if (this.selectedServer && !this.servers.some(server => server.id === this.selectedServer)) {
+      this.selectedServer = null;
+      this.widgets.tools.setItems([]);
+      this.widgets.tools.setLabel(' Tools ');
+    }
+
+    this.updateHeader();
+  }
+
+  async selectServer(serverId) {
+    const { tools } = this.widgets;
+
+    this.selectedServer = serverId;
+    tools.setLabel(` Tools: ${serverId} `);
+    tools.setItems(['{gray-fg}Loading...{/gray-fg}']);
+    this.screen.render();
+
+    try {
+      const list = await this.client.fetchTools(serverId);
+
+      tools.setItems(list.length === 0
+        ? ['{gray-fg}No tools available{/gray-fg}']
+        : list.map(tool => `{green-fg}${blessed.escape(tool.name)}{/green-fg} {gray-fg}${blessed.escape(tool.description || '')}{/gray-fg}`));
+    } catch (error) {
+      tools.setItems([`{red-fg}${blessed.escape(error.message)}{/red-fg}`]);
+    }
+
+    this.screen.render();
+  }
+
+  async runQuery(query) {
+    const { response } = this.widgets;
+
+    if (this.querying) {
+      this.log('{yellow-fg}A query is already running{/yellow-fg}');
+      return;
+    }
+
+    this.querying = true;
+    this.streamedText = '';
+    response.setLabel(` Response: ${truncate(query, 40)} `);
+    response.setContent('');
+    this.log(`{cyan-fg}query{/cyan-fg} ${blessed.escape(query)}`);
+    this.screen.render();
+
+    try {
+      const answer = await this.client.sendQuery(query, { stream: true });
+      response.setContent(blessed.escape(answer || ''));
+    } catch (error) {
+      response.setContent(`{red-fg}${blessed.escape(error.message)}{/red-fg}`);
+    } finally {
+      this.querying = false;
+    }
+
+    response.setScrollPerc(0);
+    this.screen.render();
+  }
+
+  updateHeader() {
+    if (!this.screen) return;
+
+    const colors = { connected: 'green', connecting: 'yellow', disconnected: 'red' };
+    const color = colors[this.connectionStatus] || 'gray';
+    const latency = this.client.latency !== null ? ` · ${this.client.latency}ms` : '';
+
+    this.widgets.header.setContent(
+      ' {bold}🧠 Brain Dashboard{/bold}  ' +
+      `{${color}-fg}● ${this.connectionStatus}{/${color}-fg}${latency}  ` +
+      `${blessed.escape(this.url || '')}  ${this.servers.length} server${this.servers.length === 1 ? '' : 's'}`
+    );
+    this.screen.render();
+  }
+
+  cycleFocus(step) {
+    const current = this.focusOrder.findIndex(name => this.widgets[name] === this.screen.focused);
+    const next = (current + step + this.focusOrder.length) % this.focusOrder.length;
+
+    this.widgets[this.focusOrder[next]].focus();
+    this.screen.render();
+  }
+
+  log(line) {
+    const time = new Date().toLocaleTimeString();
+    this.widgets.events.log(`{gray-fg}[${time}]{/gray-fg} ${line}`);
+  }
+
+  async stop() {
+    clearInterval(this.refreshTimer);
+
+    this.client.off('message', this.onMessage);
+    this.client.off('connecting', this.onConnecting);
+    this.client.off('reconnected', this.onReconnected);
+    this.client.off('gave_up', this.onGaveUp);
+    this.client.off('heartbeat', this.onHeartbeat);
+    this.client.off('invalid_frame', this.onInvalidFrame);
+    this.client.off('tool_approval', this.onToolApproval);
+
+    this.screen.destroy();
+    await this.client.disconnect();
+    process.exit(0);
+  }
+}
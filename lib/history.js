@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+import { getUserDataDir } from './config.js';
+import { truncate } from './utils.js';
+
+export function getConversationsDir() {
+  return path.join(getUserDataDir(), 'conversations');
+}
+
+function getConversationPath(id) {
+  return path.join(getConversationsDir(), `${id}.json`);
+}
+
+export function createConversation(title = 'New conversation') {
+  const now = new Date().toISOString();
+
+  return {
+    id: randomUUID(),
+    title,
+    created_at: now,
+    updated_at: now,
+    turns: []
+  };
+}
+
+export function saveConversation(conversation) {
+  fs.mkdirSync(getConversationsDir(), { recursive: true });
+  fs.writeFileSync(getConversationPath(conversation.id), JSON.stringify(conversation, null, 2) + '\n');
+}
+
+// Files from older versions may lack the timestamps; those sort last
+function lastActivity(conversation) {
+  return String(conversation.updated_at || conversation.created_at || '');
+}
+
+// Older or hand-edited files may have no turns yet
+function withTurns(conversation) {
+  return { ...conversation, turns: Array.isArray(conversation.turns) ? conversation.turns : [] };
+}
+
+export function listConversations() {
+  const dir = getConversationsDir();
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      } catch {
+        // Skip files that were truncated, edited by hand or can't be read
+        return null;
+      }
+    })
+    .filter(conversation => conversation && typeof conversation.id === 'string')
+    .map(withTurns)
+    .sort((a, b) => lastActivity(b).localeCompare(lastActivity(a)));
+}
+
+// Accept a full id or any unambiguous prefix, like git does for hashes
+export function resolveConversationId(idOrPrefix) {
+  const matches = listConversations().filter(conversation => conversation.id.startsWith(idOrPrefix));
+
+  if (matches.length === 0) {
+    throw new Error(`No conversation matches "${idOrPrefix}"`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`"${idOrPrefix}" matches ${matches.length} conversations, use a longer id`);
+  }
+
+  return matches[0].id;
+}
+
+export function loadConversation(idOrPrefix) {
+  const id = resolveConversationId(idOrPrefix);
+  return withTurns(JSON.parse(fs.readFileSync(getConversationPath(id), 'utf8')));
+}
+
+export function getLatestConversation() {
+  const [latest] = listConversations();
+
+  if (!latest) {
+    throw new Error('No previous conversation to resume');
+  }
+
+  return latest;
+}
+
+export function deleteConversation(idOrPrefix) {
+  const id = resolveConversationId(idOrPrefix);
+  fs.unlinkSync(getConversationPath(id));
+  return id;
+}
+
+// Send one query as part of a conversation and record the turn on disk
+export async function askInConversation(client, conversation, query, options = {}) {
+  const { save = true, ...queryOptions } = options;
+  const turn = {
+    query,
+    response: null,
+    thinking: [],
+    started_at: new Date().toISOString(),
+    finished_at: null
+  };
+
+  const collectThinking = (message) => {
+    if (message.type === 'thinking') {
+      turn.thinking.push({ message: message.message, timestamp: new Date().toISOString() });
+    }
+  };
+
+  client.on('message', collectThinking);
+
+  try {
+    turn.response = await client.sendQuery(query, { ...queryOptions, conversationId: conversation.id });
+    return turn;
+  } catch (error) {
+    turn.error = error.message;
+    throw error;
+  } finally {
+    client.off('message', collectThinking);
+    turn.finished_at = new Date().toISOString();
+
+    if (conversation.turns.length === 0) {
+      conversation.title = truncate(query.replace(/\s+/g, ' ').trim(), 60);
+    }
+    conversation.turns.push(turn);
+    conversation.updated_at = turn.finished_at;
+
+    if (save) {
+      saveConversation(conversation);
+    }
+  }
+}
@@ -1,42 +1,57 @@
-import chalk from 'chalk';
 import boxen from 'boxen';
 import figlet from 'figlet';
 import inquirer from 'inquirer';
-import gradient from 'gradient-string';
 
 import { createSpinner } from 'nanospinner';
 
+import { getUserConfigPath, setConfigValue } from './config.js';
+import { createConversation, listConversations } from './history.js';
+import { QueryRepl } from './repl.js';
+import { StatusMonitor, renderStatus } from './status.js';
+import { applyTheme, listThemes, renderThemePreview, theme } from './theme.js';
+import { buildArgumentPrompts, compactArguments, getToolSchema, validateArguments } from './tools.js';
+import { createStatusBadge, isCI, truncate } from './utils.js';
+
 export class InteractiveMode {
   constructor(brainClient) {
     this.client = brainClient;
     this.isRunning = false;
     this.connectedServers = [];
+    this.url = null;
+    this.connectionStatus = 'disconnected';
   }
 
-  async start(url = 'ws://localhost:3789') {
+  async start(url = this.client.config.url) {
     console.clear();
     
     console.log(
-      gradient.instagram.multiline(
+      theme.gradient(
         figlet.textSync('Interactive Mode', {
           font: 'Small',
           horizontalLayout: 'default'
-        })
+        }),
+        { multiline: true }
       )
     );
 
     try {
+      this.url = url;
       await this.client.connect(url);
+      this.connectionStatus = 'connected';
       this.isRunning = true;
       
       this.client.on('message', (message) => {
         this.handleMessage(message);
       });
 
+      this.client.on('connecting', (event) => this.handleConnecting(event));
+      this.client.on('reconnected', (event) => this.handleReconnected(event));
+      this.client.on('gave_up', (event) => this.handleGaveUp(event));
+
       await this.mainLoop();
       
     } catch (error) {
-      console.error(chalk.red('Failed to start interactive mode:'), error.message);
+      console.error(theme.error('Failed to start interactive mode:'), error.message);
       process.exit(1);
     }
   }
@@ -47,7 +62,7 @@ export class InteractiveMode {
         const action = await this.showMainMenu();
         await this.handleAction(action);
       } catch (error) {
-        console.error(chalk.red('Error:'), error.message);
+        console.error(theme.error('Error:'), error.message);
         await this.pressAnyKey();
       }
     }
@@ -55,11 +70,12 @@ export class InteractiveMode {
 
   async showMainMenu() {
     console.log('\n' + boxen(
-      chalk.blue('🧠 Brain Interactive Mode\n\n') +
-      chalk.gray('Choose an action to interact with the Brain system'),
+      theme.primary(theme.icon('brain') + 'Brain Interactive Mode\n\n') +
+      this.formatConnectionStatus() + '\n\n' +
+      theme.muted('Choose an action to interact with the Brain system'),
       {
         padding: 1,
-        borderColor: 'blue',
+        borderColor: theme.borderColor('primary'),
         borderStyle: 'round'
       }
     ));
@@ -70,12 +86,16 @@ export class InteractiveMode {
         name: 'action',
         message: 'What would you like to do?',
         choices: [
-          { name: '🤖 Send Query to Brain', value: 'query' },
-          { name: '🖥️  Manage MCP Servers', value: 'servers' },
-          { name: '🛠️  View Tools', value: 'tools' },
-          { name: '📊 System Status', value: 'status' },
-          { name: '🔧 Settings', value: 'settings' },
-          { name: '❌ Exit', value: 'exit' }
+          { name: theme.icon('response') + 'Send Query to Brain', value: 'query' },
+          { name: theme.icon('servers') + 'Manage MCP Servers', value: 'servers' },
+          { name: theme.icon('tools') + 'View Tools', value: 'tools' },
+          { name: theme.icon('performance') + 'Call Tool', value: 'call_tool' },
+          { name: theme.icon('status') + 'System Status', value: 'status' },
+          { name: theme.icon('tool') + 'Settings', value: 'settings' },
+          ...(this.connectionStatus === 'disconnected'
+            ? [{ name: theme.icon('reconnect') + 'Reconnect', value: 'reconnect' }]
+            : []),
+          { name: theme.icon('error') + 'Exit', value: 'exit' }
         ],
         pageSize: 10
       }
@@ -95,39 +115,63 @@ export class InteractiveMode {
       case 'tools':
         await this.handleToolsView();
         break;
+      case 'call_tool':
+        await this.handleCallTool();
+        break;
       case 'status':
         await this.handleSystemStatus();
         break;
       case 'settings':
         await this.handleSettings();
         break;
+      case 'reconnect':
+        await this.handleReconnect();
+        break;
       case 'exit':
         await this.handleExit();
         break;
     }
   }
 
-  async handleQueryMode() {
-    console.log('\n' + chalk.blue('🤖 Query Mode'));
-    console.log(chalk.gray('Enter your questions for the Brain. Type "back" to return to main menu.\n'));
+  async pickConversation() {
+    const recent = listConversations().slice(0, 15);
 
-    while (true) {
-      const { query } = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'query',
-          message: chalk.blue('Brain >'),
-          validate: (input) => input.trim() !== '' || 'Please enter a query'
-        }
-      ]);
+    if (recent.length === 0) {
+      return createConversation();
+    }
 
-      if (query.toLowerCase() === 'back') {
-        break;
+    const { conversation } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'conversation',
+        message: 'Conversation',
+        choices: [
+          { name: theme.icon('new') + 'Start a new conversation', value: null },
+          new inquirer.Separator(),
+          ...recent.map(item => ({
+            name: `${truncate(item.title, 50)} ${theme.muted(`(${item.turns.length} turns, ${new Date(item.updated_at).toLocaleString()})`)}`,
+            value: item
+          }))
+        ],
+        pageSize: 12
       }
+    ]);
 
-      await this.client.sendQuery(query);
-      console.log(''); // Add spacing
-    }
+    return conversation || createConversation();
+  }
+
+  async handleQueryMode() {
+    const conversation = await this.pickConversation();
+
+    console.log('\n' + theme.primary(theme.icon('response') + 'Query Mode') + theme.muted(` · conversation ${conversation.id.slice(0, 8)}`));
+
+    // Replay the tail of a resumed conversation for context
+    conversation.turns.slice(-3).forEach(turn => {
+      console.log(theme.primary('Brain > ') + theme.text(turn.query));
+      console.log(theme.muted(truncate(turn.response || turn.error || '', 200)) + '\n');
+    });
+
+    await new QueryRepl(this.client, conversation).run();
   }
 
   async handleServerManagement() {
@@ -137,10 +181,10 @@ export class InteractiveMode {
         name: 'serverAction',
         message: 'Server Management',
         choices: [
-          { name: '📋 List Connected Servers', value: 'list' },
-          { name: '🔗 Connect New Server', value: 'connect' },
-          { name: '🔌 Disconnect Server', value: 'disconnect' },
-          { name: '🔙 Back to Main Menu', value: 'back' }
+          { name: theme.icon('list') + 'List Connected Servers', value: 'list' },
+          { name: theme.icon('connect') + 'Connect New Server', value: 'connect' },
+          { name: theme.icon('disconnect') + 'Disconnect Server', value: 'disconnect' },
+          { name: theme.icon('back') + 'Back to Main Menu', value: 'back' }
         ]
       }
     ]);
@@ -162,7 +206,7 @@ export class InteractiveMode {
   }
 
   async handleConnectServer() {
-    console.log('\n' + chalk.blue('🔗 Connect New MCP Server\n'));
+    console.log('\n' + theme.primary(theme.icon('connect') + 'Connect New MCP Server\n'));
 
     const { serverId } = await inquirer.prompt([
       {
@@ -179,9 +223,9 @@ export class InteractiveMode {
         name: 'configType',
         message: 'Server configuration type:',
         choices: [
-          { name: '📁 Local Script Path', value: 'local' },
-          { name: '🌐 Remote HTTP URL', value: 'remote' },
-          { name: '⚙️  Custom Configuration', value: 'custom' }
+          { name: theme.icon('local') + 'Local Script Path', value: 'local' },
+          { name: theme.icon('remote') + 'Remote HTTP URL', value: 'remote' },
+          { name: theme.icon('settings') + 'Custom Configuration', value: 'custom' }
         ]
       }
     ]);
@@ -248,58 +292,148 @@ export class InteractiveMode {
       await this.client.connectServer(serverId, serverConfig);
       await this.pressAnyKey();
     } catch (error) {
-      console.error(chalk.red('Failed to connect server:'), error.message);
+      console.error(theme.error('Failed to connect server:'), error.message);
       await this.pressAnyKey();
     }
   }
   async handleDisconnectServer() {
-    // First get the list of connected servers
     const spinner = createSpinner('Fetching connected servers...').start();
-    
-    // TODO: We need to implement a way to get current servers synchronously
-    // For now, let the user type the server ID
-    spinner.stop();
-    
-    const { serverId } = await inquirer.prompt([
+
+    try {
+      this.connectedServers = await this.client.fetchServers();
+      spinner.stop();
+    } catch (error) {
+      spinner.error({ text: 'Failed to fetch connected servers' });
+      throw error;
+    }
+
+    if (this.connectedServers.length === 0) {
+      console.log(theme.muted('No servers connected'));
+      await this.pressAnyKey();
+      return;
+    }
+
+    const { serverIds } = await inquirer.prompt([
       {
-        type: 'input',
-        name: 'serverId',
-        message: 'Enter server ID to disconnect:',
-        validate: (input) => input.trim() !== '' || 'Server ID is required'
+        type: 'checkbox',
+        name: 'serverIds',
+        message: 'Select servers to disconnect:',
+        choices: this.connectedServers.map(server => ({
+          name: `${server.id} ${createStatusBadge(server.status || 'unknown')} ${theme.muted(`(${server.tools_count ?? 0} tools)`)}`,
+          value: server.id
+        })),
+        validate: (selected) => selected.length > 0 || 'Select at least one server'
       }
     ]);
 
+    for (const serverId of serverIds) {
+      try {
+        await this.client.disconnectServer(serverId);
+      } catch (error) {
+        console.error(theme.error(`Failed to disconnect ${serverId}:`), error.message);
+      }
+    }
+
+    await this.pressAnyKey();
+  }
+
+  // Pick one of the live servers; returns null when none are connected
+  async pickServer(message) {
+    const spinner = createSpinner('Fetching connected servers...').start();
+
     try {
-      await this.client.disconnectServer(serverId);
-      console.log(chalk.green(`✅ Server ${serverId} disconnected`));
-      await this.pressAnyKey();
+      this.connectedServers = await this.client.fetchServers();
+      spinner.stop();
     } catch (error) {
-      console.error(chalk.red('Failed to disconnect server:'), error.message);
+      spinner.error({ text: 'Failed to fetch connected servers' });
+      throw error;
+    }
+
+    if (this.connectedServers.length === 0) {
+      console.log(theme.muted('No servers connected'));
       await this.pressAnyKey();
+      return null;
     }
-  }
 
-  async handleToolsView() {
     const { serverId } = await inquirer.prompt([
       {
-        type: 'input',
+        type: 'list',
         name: 'serverId',
-        message: 'Enter server ID to view tools:',
-        validate: (input) => input.trim() !== '' || 'Server ID is required'
+        message,
+        choices: this.connectedServers.map(server => ({
+          name: `${server.id} ${theme.muted(`(${server.tools_count ?? 0} tools)`)}`,
+          value: server.id
+        }))
       }
     ]);
 
+    return serverId;
+  }
+
+  async handleToolsView() {
+    const serverId = await this.pickServer('Select a server to view tools:');
+    if (!serverId) return;
+
     try {
       await this.client.listTools(serverId);
       await this.pressAnyKey();
     } catch (error) {
-      console.error(chalk.red('Failed to get tools:'), error.message);
+      console.error(theme.error('Failed to get tools:'), error.message);
       await this.pressAnyKey();
     }
   }
 
+  async handleCallTool() {
+    const serverId = await this.pickServer('Select a server:');
+    if (!serverId) return;
+
+    const tools = await this.client.fetchTools(serverId);
+
+    if (tools.length === 0) {
+      console.log(theme.muted('No tools available'));
+      await this.pressAnyKey();
+      return;
+    }
+
+    const { tool } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'tool',
+        message: 'Select a tool:',
+        choices: tools.map(item => ({
+          name: `${item.name} ${theme.muted(truncate(item.description || '', 60))}`,
+          value: item
+        })),
+        pageSize: 12
+      }
+    ]);
+
+    const schema = getToolSchema(tool);
+    const args = compactArguments(await inquirer.prompt(buildArgumentPrompts(schema)));
+    const errors = validateArguments(schema, args);
+
+    if (errors.length > 0) {
+      console.error(theme.error('Invalid arguments:'), errors.join('; '));
+      await this.pressAnyKey();
+      return;
+    }
+
+    try {
+      await this.client.callTool(serverId, tool.name, args);
+    } catch (error) {
+      console.error(theme.error('Tool call failed:'), error.message);
+    }
+
+    await this.pressAnyKey();
+  }
+
   async handleSystemStatus() {
-    await this.client.showStatus();
+    try {
+      console.log(renderStatus(await new StatusMonitor(this.client).refresh()));
+    } catch (error) {
+      console.error(theme.error('Failed to get status:'), error.message);
+    }
+
     await this.pressAnyKey();
   }
 
@@ -310,27 +444,131 @@ export class InteractiveMode {
         name: 'setting',
         message: 'Settings',
         choices: [
-          { name: '🎨 Color Theme', value: 'theme' },
-          { name: '⚡ Performance', value: 'performance' },
-          { name: '🔔 Notifications', value: 'notifications' },
-          { name: '🔙 Back to Main Menu', value: 'back' }
+          { name: theme.icon('theme') + 'Color Theme', value: 'theme' },
+          { name: theme.icon('performance') + 'Performance', value: 'performance' },
+          { name: theme.icon('notifications') + 'Notifications', value: 'notifications' },
+          { name: theme.icon('back') + 'Back to Main Menu', value: 'back' }
         ]
       }
     ]);
 
-    if (setting !== 'back') {
-      console.log(chalk.yellow('Settings coming soon!'));
+    if (setting === 'theme') {
+      await this.handleThemeSettings();
+    } else if (setting === 'notifications') {
+      await this.handleNotificationSettings();
+    } else if (setting !== 'back') {
+      console.log(theme.warning('Settings coming soon!'));
       await this.pressAnyKey();
     }
   }
 
+  async handleThemeSettings() {
+    const current = theme.name;
+
+    const { name } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'name',
+        message: 'Color theme',
+        default: current,
+        choices: listThemes().map(item => ({
+          name: `${item.name}${item.name === current ? ' (current)' : ''}${theme.muted(` - ${item.description}`)}`,
+          value: item.name
+        }))
+      }
+    ]);
+
+    try {
+      applyTheme(name);
+    } catch (error) {
+      console.error(theme.error('Cannot use this theme:'), error.message);
+      await this.pressAnyKey();
+      return;
+    }
+
+    console.log('\n' + renderThemePreview());
+    if (!theme.color && name !== 'plain') {
+      console.log(theme.muted('Colors are turned off (NO_COLOR or --no-color), so the preview is plain'));
+    }
+
+    const { save } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'save',
+        message: `Use ${name} from now on?`,
+        default: true
+      }
+    ]);
+
+    if (!save) {
+      applyTheme(current);
+      return;
+    }
+
+    try {
+      setConfigValue('colorTheme', name);
+      this.client.config.colorTheme = name;
+      console.log(theme.success(`${theme.icon('success')}Saved to ${getUserConfigPath()}`));
+    } catch (error) {
+      console.error(theme.error('Failed to save settings:'), error.message);
+    }
+
+    await this.pressAnyKey();
+  }
+
+  async handleNotificationSettings() {
+    const { config } = this.client;
+
+    if (isCI()) {
+      console.log(theme.warning(theme.icon('warning') + 'Notifications are always off in CI, whatever is saved here'));
+    }
+
+    const answers = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'notifications',
+        message: 'Notify when long queries finish and when servers disconnect unexpectedly?',
+        default: config.notifications
+      },
+      {
+        type: 'input',
+        name: 'notificationThreshold',
+        message: 'Only for queries that take at least (seconds):',
+        default: String(config.notificationThreshold / 1000),
+        when: (answers) => answers.notifications,
+        filter: (value) => Number(value) * 1000,
+        validate: (value) => (Number.isFinite(value) && value >= 0) || 'Enter a number of seconds'
+      },
+      {
+        type: 'confirm',
+        name: 'notificationSounds',
+        message: 'Play a sound?',
+        default: config.notificationSounds,
+        when: (answers) => answers.notifications
+      }
+    ]);
+
+    try {
+      for (const [key, value] of Object.entries(answers)) {
+        setConfigValue(key, value);
+        // Update the running session too, not just the file
+        config[key] = value;
+      }
+      console.log(theme.success(`${theme.icon('success')}Saved to ${getUserConfigPath()}`));
+    } catch (error) {
+      console.error(theme.error('Failed to save settings:'), error.message);
+    }
+
+    await this.pressAnyKey();
+  }
+
   async handleExit() {
     console.log('\n' + boxen(
-      chalk.yellow('👋 Goodbye!\n\n') +
-      chalk.gray('Thanks for using Brain CLI'),
+      theme.warning(theme.icon('goodbye') + 'Goodbye!\n\n') +
+      theme.muted('Thanks for using Brain CLI'),
       {
         padding: 1,
-        borderColor: 'yellow',
+        borderColor: theme.borderColor('warning'),
         borderStyle: 'round'
       }
     ));
@@ -340,6 +578,39 @@ export class InteractiveMode {
     process.exit(0);
   }
 
+  async handleReconnect() {
+    await this.client.connect(this.url, this.client.timeout, { quiet: true });
+    this.connectionStatus = 'connected';
+  }
+
+  handleConnecting({ attempt, maxAttempts, delay }) {
+    this.connectionStatus = 'connecting';
+    console.log('\n' + createStatusBadge('connecting') +
+      theme.muted(` Reconnecting in ${delay / 1000}s (attempt ${attempt}/${maxAttempts})...`));
+  }
+
+  handleReconnected({ attempts }) {
+    this.connectionStatus = 'connected';
+    console.log('\n' + createStatusBadge('connected') +
+      theme.muted(` Back online after ${attempts} attempt${attempts === 1 ? '' : 's'}`));
+  }
+
+  handleGaveUp({ attempts }) {
+    this.connectionStatus = 'disconnected';
+    console.log('\n' + createStatusBadge('disconnected') +
+      theme.muted(` Gave up after ${attempts} attempts. Choose "Reconnect" to try again.`));
+  }
+
+  formatConnectionStatus() {
+    const badge = createStatusBadge(this.connectionStatus);
+
+    if (this.connectionStatus === 'connected' && this.client.latency !== null) {
+      return badge + theme.muted(` · ${this.client.latency}ms`);
+    }
+
+    return badge;
+  }
+
   handleMessage(message) {
     // Handle real-time messages from the Brain server
     // This method is called when the client receives messages
@@ -351,7 +622,7 @@ export class InteractiveMode {
       {
         type: 'input',
         name: 'continue',
-        message: chalk.gray('Press Enter to continue...'),
+        message: theme.muted('Press Enter to continue...'),
       }
     ]);
   }
@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+
+import { validateServerId } from './utils.js';
+
+const TRANSPORTS = ['stdio', 'sse', 'http', 'streamable-http'];
+
+// Only these keys of a manifest entry are sent to the Brain
+const CONFIG_FIELDS = ['command', 'args', 'env', 'cwd', 'transport', 'url'];
+
+function normalizeEntry(id, entry) {
+  const errors = [];
+
+  if (!validateServerId(id)) {
+    errors.push(`${id}: server id may only contain letters, numbers, "_" and "-"`);
+  }
+
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { errors: [...errors, `${id}: entry must be an object`] };
+  }
+
+  const config = {};
+  for (const field of CONFIG_FIELDS) {
+    if (entry[field] !== undefined) {
+      config[field] = entry[field];
+    }
+  }
+
+  // Remote servers are reached over SSE unless told otherwise
+  config.transport = config.transport || (config.url ? 'sse' : 'stdio');
+
+  if (!TRANSPORTS.includes(config.transport)) {
+    errors.push(`${id}: unknown transport "${config.transport}" (expected ${TRANSPORTS.join(', ')})`);
+  }
+  if (config.transport === 'stdio' && typeof config.command !== 'string') {
+    errors.push(`${id}: stdio servers need a "command"`);
+  }
+  if (config.transport !== 'stdio' && typeof config.url !== 'string') {
+    errors.push(`${id}: ${config.transport} servers need a "url"`);
+  }
+  if (config.args !== undefined && !(Array.isArray(config.args) && config.args.every(arg => typeof arg === 'string'))) {
+    errors.push(`${id}: "args" must be an array of strings`);
+  }
+  if (config.env !== undefined && !(
+    config.env !== null && typeof config.env === 'object' && !Array.isArray(config.env) &&
+    Object.values(config.env).every(value => typeof value === 'string')
+  )) {
+    errors.push(`${id}: "env" must be an object of strings`);
+  }
+
+  return { config, errors };
+}
+
+export function loadManifest(filePath) {
+  let data;
+
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read manifest ${filePath}: ${error.message}`);
+  }
+
+  if (!data || typeof data.mcpServers !== 'object' || Array.isArray(data.mcpServers)) {
+    throw new Error(`Manifest ${filePath} must have an "mcpServers" object`);
+  }
+
+  const baseDir = path.dirname(path.resolve(filePath));
+  const servers = [];
+  const errors = [];
+
+  for (const [id, entry] of Object.entries(data.mcpServers)) {
+    const result = normalizeEntry(id, entry);
+    errors.push(...result.errors);
+
+    // Relative working directories are relative to the manifest, not the shell
+    if (result.config && result.config.cwd) {
+      result.config.cwd = path.resolve(baseDir, result.config.cwd);
+    }
+
+    if (result.errors.length === 0) {
+      servers.push({ id, config: result.config });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid manifest ${filePath}:\n  ${errors.join('\n  ')}`);
+  }
+
+  return servers;
+}
+
+// JSON with sorted keys, so configs compare equal regardless of key order
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Work out what to connect, reconnect and disconnect to make the Brain match the manifest
+export function planApply(desired, current, { prune = false } = {}) {
+  const currentById = new Map(current.map(server => [server.id, server]));
+  const desiredIds = new Set(desired.map(server => server.id));
+  const actions = [];
+
+  for (const { id, config } of desired) {
+    const existing = currentById.get(id);
+    const existingConfig = existing && (existing.config || existing.server_config);
+
+    if (!existing) {
+      actions.push({ action: 'connect', id, config, reason: 'not connected' });
+    } else if (existing.status !== 'connected') {
+      actions.push({ action: 'reconnect', id, config, reason: `status is ${existing.status}` });
+    } else if (existingConfig && stableStringify(existingConfig) !== stableStringify(config)) {
+      actions.push({ action: 'reconnect', id, config, reason: 'config changed' });
+    } else {
+      actions.push({ action: 'unchanged', id, config, reason: 'up to date' });
+    }
+  }
+
+  for (const server of current) {
+    if (desiredIds.has(server.id)) continue;
+
+    actions.push(prune
+      ? { action: 'disconnect', id: server.id, reason: 'not in manifest' }
+      : { action: 'unchanged', id: server.id, reason: 'not in manifest (use --prune to disconnect)' });
+  }
+
+  return actions;
+}
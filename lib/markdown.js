@@ -0,0 +1,277 @@
+import boxen from 'boxen';
+import { Chalk } from 'chalk';
+import Table from 'cli-table3';
+import { highlight, supportsLanguage } from 'cli-highlight';
+import { marked } from 'marked';
+import stringWidth from 'string-width';
+import wrapAnsi from 'wrap-ansi';
+
+import { theme } from './theme.js';
+import { getTerminalWidth } from './utils.js';
+
+const BULLETS = ['•', '◦', '▪'];
+
+// marked escapes text for HTML; the terminal wants it back as typed
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': '\'' };
+
+function unescape(text) {
+  return text.replace(/&(amp|lt|gt|quot|#39);/g, entity => ENTITIES[entity]);
+}
+
+// highlight.js token classes, painted with theme roles so code follows the theme
+function codeTheme() {
+  return {
+    keyword: theme.accent,
+    'selector-tag': theme.accent,
+    'meta-keyword': theme.accent,
+    built_in: theme.primary,
+    type: theme.primary,
+    class: theme.primary,
+    title: theme.primary,
+    function: theme.primary,
+    string: theme.success,
+    'meta-string': theme.success,
+    regexp: theme.success,
+    addition: theme.success,
+    number: theme.warning,
+    literal: theme.warning,
+    symbol: theme.warning,
+    bullet: theme.warning,
+    comment: theme.muted,
+    quote: theme.muted,
+    doctag: theme.muted,
+    meta: theme.muted,
+    deletion: theme.error,
+    default: theme.text
+  };
+}
+
+export function highlightCode(code, language) {
+  if (!language || !supportsLanguage(language)) {
+    return theme.text(code);
+  }
+
+  try {
+    return highlight(code, { language, ignoreIllegals: true, theme: codeTheme() });
+  } catch {
+    return theme.text(code);
+  }
+}
+
+// Plain text is left unpainted so it takes the color of the block around it
+function renderInline(tokens, style) {
+  return tokens.map(token => {
+    switch (token.type) {
+      case 'strong':
+        return style.bold(renderInline(token.tokens, style));
+      case 'em':
+        return style.italic(renderInline(token.tokens, style));
+      case 'del':
+        return style.strikethrough(renderInline(token.tokens, style));
+      case 'codespan':
+        return theme.accent(unescape(token.text));
+      case 'link': {
+        const label = renderInline(token.tokens, style);
+        // Autolinks already show the address
+        return token.text === token.href
+          ? theme.primary.underline(token.href)
+          : theme.primary.underline(label) + theme.muted(` (${token.href})`);
+      }
+      case 'image':
+        return theme.muted(`[image: ${token.text || token.href}] (${token.href})`);
+      case 'br':
+        return '\n';
+      case 'text':
+        return token.tokens ? renderInline(token.tokens, style) : unescape(token.text);
+      default:
+        return unescape(token.text || token.raw || '');
+    }
+  }).join('');
+}
+
+function renderHeading(token, width, style) {
+  const text = renderInline(token.tokens, style);
+
+  if (token.depth === 1) {
+    return theme.primary.bold(text) + '\n' + theme.primary('═'.repeat(Math.min(stringWidth(text), width)));
+  }
+  if (token.depth === 2) {
+    return theme.primary.bold(text) + '\n' + theme.muted('─'.repeat(Math.min(stringWidth(text), width)));
+  }
+  return theme.accent.bold(text);
+}
+
+function renderCode(token, { codeBorders }) {
+  const code = highlightCode(token.text, token.lang);
+
+  if (codeBorders) {
+    return boxen(code, {
+      title: token.lang || undefined,
+      padding: { left: 1, right: 1 },
+      borderColor: theme.borderColor('muted'),
+      borderStyle: 'round'
+    });
+  }
+
+  // Rules above and below instead of a box, so selecting the code copies only the code
+  return theme.muted(`─── ${token.lang || 'code'}`) + '\n' + code + '\n' + theme.muted('───');
+}
+
+function renderList(token, width, options, depth) {
+  const start = Number(token.start) || 1;
+  const markers = token.items.map((item, index) => (token.ordered ? `${start + index}.` : BULLETS[depth % BULLETS.length]));
+  const indent = Math.max(...markers.map(marker => stringWidth(marker))) + 1;
+
+  return token.items.map((item, index) => {
+    const body = renderBlocks(item.tokens, width - indent, options, depth + 1, item.loose ? '\n\n' : '\n');
+    const [first, ...rest] = body.split('\n');
+    const checkbox = item.task ? theme.accent(item.checked ? '[x] ' : '[ ] ') : '';
+
+    return [
+      theme.accent(markers[index].padEnd(indent)) + checkbox + first,
+      ...rest.map(line => (line ? ' '.repeat(indent) + line : line))
+    ].join('\n');
+  }).join(token.loose ? '\n\n' : '\n');
+}
+
+// Columns narrower than an even share keep their width; the wide ones split what is left
+export function fitColumns(natural, available) {
+  const widths = [...natural];
+  let open = natural.map((value, index) => index);
+  let remaining = available;
+
+  while (open.length > 0) {
+    const share = Math.floor(remaining / open.length);
+    const fits = open.filter(index => natural[index] <= share);
+
+    if (fits.length === 0) {
+      open.forEach(index => { widths[index] = Math.max(share, 5); });
+      break;
+    }
+
+    fits.forEach(index => { remaining -= natural[index]; });
+    open = open.filter(index => natural[index] > share);
+  }
+
+  return widths;
+}
+
+function renderTable(token, width, style) {
+  const cell = (item, index) => ({ content: theme.text(renderInline(item.tokens, style)), hAlign: token.align[index] || 'left' });
+  const head = token.header.map((item, index) => ({ ...cell(item, index), content: theme.primary.bold(renderInline(item.tokens, style)) }));
+  const rows = token.rows.map(row => row.map(cell));
+
+  const natural = head.map((item, index) => Math.max(...[item, ...rows.map(row => row[index])].map(entry => stringWidth(entry.content))) + 2);
+  const available = width - natural.length - 1;
+  const options = { head, style: theme.tableStyle() };
+
+  if (natural.reduce((sum, value) => sum + value, 0) > available) {
+    options.colWidths = fitColumns(natural, available);
+    options.wordWrap = true;
+  }
+
+  const table = new Table(options);
+  table.push(...rows);
+  return table.toString();
+}
+
+function renderBlock(token, width, options, depth) {
+  switch (token.type) {
+    case 'heading':
+      return renderHeading(token, width, options.style);
+    case 'paragraph':
+      return wrapAnsi(theme.text(renderInline(token.tokens, options.style)), width);
+    case 'text':
+      return wrapAnsi(theme.text(token.tokens ? renderInline(token.tokens, options.style) : unescape(token.text)), width);
+    case 'code':
+      return renderCode(token, options);
+    case 'blockquote':
+      return renderBlocks(token.tokens, width - 2, options, depth)
+        .split('\n')
+        .map(line => theme.muted('│ ') + line)
+        .join('\n');
+    case 'list':
+      return renderList(token, width, options, depth);
+    case 'table':
+      return renderTable(token, width, options.style);
+    case 'hr':
+      return theme.muted('─'.repeat(Math.min(width, 80)));
+    case 'html':
+      return theme.muted(token.text.trimEnd());
+    case 'space':
+    case 'def':
+      return null;
+    default:
+      return token.raw ? theme.text(token.raw.trimEnd()) : null;
+  }
+}
+
+function renderBlocks(tokens, width, options, depth = 0, separator = '\n\n') {
+  return tokens
+    .map(token => renderBlock(token, Math.max(width, 20), options, depth))
+    .filter(block => block !== null && block !== '')
+    .join(separator);
+}
+
+// Render a Brain response for the terminal: highlighted code, tables, headings and links, wrapped to width
+export function renderMarkdown(text, { width = getTerminalWidth(), codeBorders = true } = {}) {
+  // Bold, italic and strikethrough without a color of their own, on or off with the theme
+  const style = new Chalk(theme.color ? {} : { level: 0 });
+  return renderBlocks(marked.lexer(text), width, { codeBorders, style });
+}
+
+// Length of the leading part of streamed text that ends in a blank line outside a code fence
+export function completedLength(text) {
+  const lines = text.split('\n');
+  let inFence = false;
+  let offset = 0;
+  let cut = 0;
+
+  // The last line has no newline yet, so it may still grow
+  for (const line of lines.slice(0, -1)) {
+    offset += line.length + 1;
+
+    if (/^ {0,3}(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    } else if (!inFence && line.trim() === '') {
+      cut = offset;
+    }
+  }
+
+  return cut;
+}
+
+// Renders a streamed response block by block, as soon as each block is complete
+export class MarkdownStream {
+  constructor(options = {}) {
+    this.options = options;
+    this.pending = '';
+    this.started = false;
+  }
+
+  push(chunk) {
+    this.pending += chunk;
+
+    const cut = completedLength(this.pending);
+    if (cut === 0) return '';
+
+    const done = this.pending.slice(0, cut);
+    this.pending = this.pending.slice(cut);
+    return this.render(done);
+  }
+
+  end() {
+    const rest = this.pending;
+    this.pending = '';
+    return this.render(rest);
+  }
+
+  render(text) {
+    const output = renderMarkdown(text, this.options);
+    if (!output) return '';
+
+    const separator = this.started ? '\n' : '';
+    this.started = true;
+    return separator + output + '\n';
+  }
+}
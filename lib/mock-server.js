@@ -0,0 +1,412 @@
+import fs from 'fs';
+import EventEmitter from 'events';
+import { WebSocketServer } from 'ws';
+
+import { CAPABILITIES, PROTOCOL_VERSION } from './protocol.js';
+import { sleep } from './utils.js';
+
+export const DEFAULT_MOCK_PORT = 3789;
+
+// What a fresh mock Brain knows about when no fixture file is given
+export const DEFAULT_FIXTURES = {
+  servers: {
+    math: {
+      status: 'connected',
+      tools: [
+        {
+          name: 'add',
+          description: 'Add two numbers',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              a: { type: 'number', description: 'First number' },
+              b: { type: 'number', description: 'Second number' }
+            },
+            required: ['a', 'b']
+          }
+        }
+      ]
+    },
+    files: {
+      status: 'connected',
+      tools: [
+        {
+          name: 'read_file',
+          description: 'Read a file from disk',
+          inputSchema: {
+            type: 'object',
+            properties: { path: { type: 'string', description: 'File path' } },
+            required: ['path']
+          }
+        },
+        {
+          name: 'delete_file',
+          description: 'Delete a file from disk',
+          inputSchema: {
+            type: 'object',
+            properties: { path: { type: 'string', description: 'File path' } },
+            required: ['path']
+          }
+        }
+      ]
+    }
+  },
+  queries: [
+    {
+      match: 'weather',
+      thinking: ['Looking up the forecast'],
+      response: 'Sunny with a light breeze.'
+    },
+    {
+      match: 'add up',
+      thinking: [
+        { agent: 'planner', message: 'Working out which numbers to add' },
+        { agent: 'calculator', message: 'Adding the numbers', tool: { server_id: 'math', tool_name: 'add', arguments: { a: 2, b: 3 } } }
+      ],
+      response: '2 + 3 = 5'
+    },
+    {
+      match: 'clean up',
+      thinking: [
+        {
+          agent: 'janitor',
+          message: 'Removing the old report',
+          tool: { server_id: 'files', tool_name: 'delete_file', arguments: { path: 'report-old.txt' }, approval: true }
+        }
+      ],
+      response: 'Tidied up the reports.'
+    }
+  ],
+  defaultResponse: 'This is a mock Brain response.'
+};
+
+export function loadFixtures(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read fixtures ${filePath}: ${error.message}`);
+  }
+}
+
+// Errors kept per server for get_servers, newest last
+const MAX_SERVER_ERRORS = 5;
+
+function summarizeServer(id, server) {
+  return {
+    id,
+    status: server.status || 'connected',
+    tools_count: (server.tools || []).length,
+    connected_at: server.connected_at,
+    errors: server.errors || []
+  };
+}
+
+// A stand-in Brain speaking the same WebSocket protocol, for offline work and tests
+export class MockBrainServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.port = options.port ?? DEFAULT_MOCK_PORT;
+    this.host = options.host || '127.0.0.1';
+    this.latency = options.latency || 0;
+    this.failureRate = options.failureRate || 0;
+    // Commands that always answer with an error, keyed by command name
+    this.failures = { ...options.failures };
+    // protocolVersion null plays a Brain from before the handshake
+    this.protocolVersion = options.protocolVersion === undefined ? PROTOCOL_VERSION : options.protocolVersion;
+    this.capabilities = options.capabilities || [...CAPABILITIES];
+    // When set, upgrades need "Authorization: Bearer <token>", like a Brain behind a gateway
+    this.token = options.token || null;
+    this.wss = null;
+    this.received = [];
+    this.toolCallCount = 0;
+    // What each client said it supports in its hello, keyed by socket
+    this.clientCapabilities = new WeakMap();
+    // Tool calls waiting on an approve_tool command, keyed by approval id
+    this.pendingApprovals = new Map();
+    this.setFixtures(options.fixtures || DEFAULT_FIXTURES);
+  }
+
+  setFixtures(fixtures) {
+    // Deep copy, so connecting and disconnecting servers never edits the caller's object
+    const copy = JSON.parse(JSON.stringify(fixtures));
+
+    this.servers = copy.servers || {};
+
+    const now = new Date().toISOString();
+    for (const server of Object.values(this.servers)) {
+      server.connected_at = server.connected_at || now;
+    }
+
+    this.queries = copy.queries || [];
+    this.toolResults = copy.toolResults || {};
+    this.defaultResponse = copy.defaultResponse ?? DEFAULT_FIXTURES.defaultResponse;
+  }
+
+  get url() {
+    return `ws://${this.host}:${this.port}`;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.wss = new WebSocketServer({
+        port: this.port,
+        host: this.host,
+        verifyClient: (info, done) => this.verifyClient(info, done)
+      });
+
+      this.wss.once('error', reject);
+      this.wss.once('listening', () => {
+        // Port 0 picks a free port; report the real one
+        this.port = this.wss.address().port;
+        resolve(this.url);
+      });
+
+      this.wss.on('connection', (ws) => {
+        this.emit('connection', ws);
+        ws.on('message', (data) => this.handleCommand(ws, data));
+      });
+    });
+  }
+
+  verifyClient({ req }, done) {
+    if (this.token && req.headers.authorization !== `Bearer ${this.token}`) {
+      done(false, 401, 'Unauthorized');
+    } else {
+      done(true);
+    }
+  }
+
+  stop() {
+    if (!this.wss) return Promise.resolve();
+
+    const wss = this.wss;
+    this.wss = null;
+
+    for (const client of wss.clients) {
+      client.terminate();
+    }
+    for (const settle of this.pendingApprovals.values()) {
+      settle({ approved: false, reason: 'Mock server stopped' });
+    }
+    this.pendingApprovals.clear();
+
+    return new Promise((resolve) => wss.close(() => resolve()));
+  }
+
+  // Push a frame to every connected client, for events the Brain sends on its own
+  broadcast(frame) {
+    if (!this.wss) return;
+
+    for (const client of this.wss.clients) {
+      client.send(JSON.stringify(frame));
+    }
+  }
+
+  async handleCommand(ws, data) {
+    let message;
+
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      this.send(ws, { type: 'error', error: 'Invalid JSON' });
+      return;
+    }
+
+    this.received.push(message);
+    this.emit('command', message);
+
+    const { command, request_id } = message;
+    const reply = (frame) => this.send(ws, { request_id, ...frame });
+
+    if (this.latency) {
+      await sleep(this.latency);
+    }
+
+    if (this.failures[command] !== undefined) {
+      reply({ type: 'error', error: this.failures[command] || `Simulated ${command} failure` });
+      return;
+    }
+    if (this.failureRate && Math.random() < this.failureRate) {
+      reply({ type: 'error', error: `Simulated ${command} failure` });
+      return;
+    }
+
+    try {
+      await this.dispatch(command, message, reply, ws);
+    } catch (error) {
+      this.recordServerError(message.server_id, error.message);
+      reply({ type: 'error', error: error.message });
+    }
+  }
+
+  async dispatch(command, message, reply, ws) {
+    switch (command) {
+      case 'hello':
+        if (this.protocolVersion === null) {
+          throw new Error(`Unknown command: ${command}`);
+        }
+        this.clientCapabilities.set(ws, message.capabilities || []);
+        reply({ type: 'hello', protocol_version: this.protocolVersion, capabilities: this.capabilities });
+        break;
+      case 'get_servers':
+        reply({
+          type: 'servers_list',
+          servers: Object.fromEntries(
+            Object.entries(this.servers).map(([id, server]) => [id, summarizeServer(id, server)])
+          )
+        });
+        break;
+      case 'list_tools':
+        reply({ type: 'tools_list', server_id: message.server_id, tools: this.getServer(message.server_id).tools || [] });
+        break;
+      case 'connect_server':
+        this.servers[message.server_id] = {
+          status: 'connected',
+          config: message.server_config,
+          connected_at: new Date().toISOString(),
+          tools: (this.servers[message.server_id] || {}).tools || []
+        };
+        reply({ type: 'server_connected', server: summarizeServer(message.server_id, this.servers[message.server_id]) });
+        break;
+      case 'disconnect_server':
+        this.getServer(message.server_id);
+        delete this.servers[message.server_id];
+        reply({ type: 'server_disconnected', server_id: message.server_id });
+        break;
+      case 'call_tool':
+        if (!this.capabilities.includes('tool_calls')) {
+          throw new Error(`Unknown command: ${command}`);
+        }
+        reply({ type: 'tool_result', ...this.callTool(message) });
+        break;
+      case 'query':
+        await this.answerQuery(message, reply, ws);
+        break;
+      case 'approve_tool': {
+        // Answers nothing; the query waiting on it carries on
+        const settle = this.pendingApprovals.get(String(message.approval_id));
+        if (!settle) {
+          throw new Error(`Unknown approval: ${message.approval_id}`);
+        }
+        this.pendingApprovals.delete(String(message.approval_id));
+        settle({ approved: Boolean(message.approved), reason: message.reason || '' });
+        break;
+      }
+      default:
+        throw new Error(`Unknown command: ${command}`);
+    }
+  }
+
+  recordServerError(serverId, message) {
+    const server = this.servers[serverId];
+    if (!server) return;
+
+    server.errors = [...(server.errors || []), { message, at: new Date().toISOString() }].slice(-MAX_SERVER_ERRORS);
+  }
+
+  getServer(serverId) {
+    const server = this.servers[serverId];
+
+    if (!server) {
+      throw new Error(`Server not found: ${serverId}`);
+    }
+    return server;
+  }
+
+  callTool({ server_id, tool_name, arguments: args = {} }) {
+    const server = this.getServer(server_id);
+
+    if (!(server.tools || []).some(tool => tool.name === tool_name)) {
+      throw new Error(`Tool not found: ${tool_name} on ${server_id}`);
+    }
+
+    // Unscripted tools echo their arguments back
+    const scripted = this.toolResults[`${server_id}/${tool_name}`];
+    const result = scripted
+      ? scripted.result
+      : [{ type: 'text', text: JSON.stringify(args) }];
+
+    return { server_id, tool_name, result, is_error: Boolean(scripted && scripted.is_error) };
+  }
+
+  // Clients that can approve tool calls are asked before tools marked "approval" run
+  requestApproval(frame, reply, ws) {
+    const clientCapabilities = this.clientCapabilities.get(ws) || [];
+
+    if (!this.capabilities.includes('tool_approval') || !clientCapabilities.includes('tool_approval')) {
+      return Promise.resolve({ approved: true });
+    }
+
+    const approval_id = `approve-${frame.call_id}`;
+
+    return new Promise((resolve) => {
+      this.pendingApprovals.set(approval_id, resolve);
+      reply({ type: 'tool_approval_request', approval_id, ...frame });
+    });
+  }
+
+  // One thinking step; steps with a tool also report the call and its result, like a multi-agent Brain
+  async think({ tool, ...step }, reply, ws) {
+    reply({ type: 'thinking', ...step });
+    if (this.latency) await sleep(this.latency);
+
+    if (!tool) return;
+
+    const { approval, ...call } = tool;
+    const call_id = `call-${++this.toolCallCount}`;
+    reply({ type: 'tool_call', call_id, agent: step.agent, step_id: step.step_id, ...call });
+    if (this.latency) await sleep(this.latency);
+
+    if (approval) {
+      const { approved, reason } = await this.requestApproval({ call_id, agent: step.agent, ...call }, reply, ws);
+
+      if (!approved) {
+        reply({ type: 'tool_call_result', call_id, server_id: call.server_id, tool_name: call.tool_name, result: reason || 'Tool call denied', is_error: true });
+        return;
+      }
+    }
+
+    try {
+      const { result, is_error } = this.callTool(call);
+      reply({ type: 'tool_call_result', call_id, server_id: call.server_id, tool_name: call.tool_name, result, is_error });
+    } catch (error) {
+      reply({ type: 'tool_call_result', call_id, server_id: call.server_id, tool_name: call.tool_name, result: error.message, is_error: true });
+    }
+  }
+
+  async answerQuery(message, reply, ws) {
+    const { query, stream, conversation_id } = message;
+    const script = this.queries.find(entry => query.toLowerCase().includes(String(entry.match).toLowerCase())) || {};
+
+    reply({ type: 'status', state: 'processing', query });
+
+    for (const [index, step] of (script.thinking || []).entries()) {
+      await this.think(typeof step === 'string' ? { message: step } : { ...step, step_id: index + 1 }, reply, ws);
+    }
+
+    if (script.error) {
+      reply({ type: 'error', error: script.error });
+      return;
+    }
+
+    const response = script.response ?? this.defaultResponse;
+
+    if (!stream || !this.capabilities.includes('streaming')) {
+      reply({ type: 'query_response', query, response, conversation_id });
+      return;
+    }
+
+    // Stream word by word, keeping the spaces so the chunks join back up
+    for (const chunk of response.match(/\S+\s*/g) || []) {
+      reply({ type: 'query_chunk', chunk });
+      if (this.latency) await sleep(this.latency);
+    }
+    reply({ type: 'query_done', query, conversation_id });
+  }
+
+  send(ws, frame) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(frame));
+    }
+  }
+}
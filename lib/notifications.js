@@ -0,0 +1,99 @@
+import notifier from 'node-notifier';
+
+import { theme } from './theme.js';
+import { formatDuration, isCI, truncate } from './utils.js';
+
+// Longest we hold up exiting for a notification to be handed to the desktop
+const FLUSH_TIMEOUT = 2000;
+
+// Desktop notifications for long queries and servers that drop without being asked to
+export class Notifications {
+  constructor(brainClient, options = {}) {
+    this.client = brainClient;
+    this.notifier = options.notifier || notifier;
+    this.pending = new Set();
+    this.batchStartedAt = null;
+    this.onQueryFinished = (event) => {
+      if (this.batchStartedAt === null) {
+        this.queryFinished(event);
+      }
+    };
+    this.onMessage = (message) => {
+      if (message.type === 'server_disconnected' && !this.client.expectedDisconnects.has(message.server_id)) {
+        this.notify('MCP server disconnected', `${message.server_id} disconnected unexpectedly`);
+      }
+    };
+  }
+
+  // Settings are read on every event so changes from the Settings menu apply straight away
+  get enabled() {
+    return Boolean(this.client.config.notifications) && !isCI();
+  }
+
+  attach() {
+    this.client.on('query_finished', this.onQueryFinished);
+    this.client.on('message', this.onMessage);
+    return this;
+  }
+
+  detach() {
+    this.client.off('query_finished', this.onQueryFinished);
+    this.client.off('message', this.onMessage);
+  }
+
+  queryFinished({ query, duration, error }) {
+    // Quick answers are still on screen; only long ones are worth interrupting for
+    if (duration < this.client.config.notificationThreshold) return;
+    // Cancelled by the user, who is clearly still at the terminal
+    if (error && error.code === 'CANCELLED') return;
+
+    if (error) {
+      this.notify(`${theme.icon('brain')}Brain query failed`, `${truncate(query, 60)}\n${error.message} (after ${formatDuration(duration)})`);
+    } else {
+      this.notify(`${theme.icon('brain')}Brain answered`, `${truncate(query, 60)}\nTook ${formatDuration(duration)}`);
+    }
+  }
+
+  // A batch gets one notification at the end instead of one per long query
+  startBatch() {
+    this.batchStartedAt = Date.now();
+  }
+
+  finishBatch(count, failed) {
+    const duration = Date.now() - this.batchStartedAt;
+    this.batchStartedAt = null;
+
+    this.queryFinished({
+      query: `Batch of ${count} queries`,
+      duration,
+      error: failed > 0 ? new Error(`${failed} of ${count} failed`) : undefined
+    });
+  }
+
+  notify(title, message) {
+    if (!this.enabled) return;
+
+    const delivery = new Promise((resolve) => {
+      // No notification daemon is not worth an error; the answer is in the terminal anyway
+      this.notifier.notify({
+        title,
+        message,
+        sound: Boolean(this.client.config.notificationSounds),
+        wait: false
+      }, () => resolve());
+    });
+
+    this.pending.add(delivery);
+    delivery.then(() => this.pending.delete(delivery));
+  }
+
+  // Give notifications in flight a moment to be delivered before the process exits
+  flush() {
+    if (this.pending.size === 0) return Promise.resolve();
+
+    return Promise.race([
+      Promise.all(this.pending),
+      new Promise((resolve) => setTimeout(resolve, FLUSH_TIMEOUT).unref())
+    ]);
+  }
+}
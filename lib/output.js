@@ -0,0 +1,222 @@
+import boxen from 'boxen';
+import { createSpinner } from 'nanospinner';
+
+import { theme } from './theme.js';
+import { schemaTree, toolResultText } from './tools.js';
+import { handleError } from './utils.js';
+
+export const OUTPUT_FORMATS = ['table', 'plain', 'json', 'ndjson'];
+
+// Not user-selectable: full-screen views set 'none' and draw every frame themselves
+export const SILENT_OUTPUT = 'none';
+
+// json and ndjson are meant for machines: no banners, boxes, colors or spinners
+export function isStructured(format) {
+  return format === 'json' || format === 'ndjson';
+}
+
+// A spinner that swallows every call, for output modes that must stay clean
+const silentSpinner = {
+  start() { return silentSpinner; },
+  stop() { return silentSpinner; },
+  success() { return silentSpinner; },
+  error() { return silentSpinner; },
+  warn() { return silentSpinner; },
+  info() { return silentSpinner; },
+  update() { return silentSpinner; },
+  clear() { return silentSpinner; },
+  isSpinning() { return false; }
+};
+
+export function createOutputSpinner(format, text) {
+  return format === 'table' ? createSpinner(text) : silentSpinner;
+}
+
+function formatPlain(result) {
+  switch (result.type) {
+    case 'servers_list':
+    case 'system_status':
+      return result.servers
+        .map(server => [server.id, server.status, server.tools_count].join('\t'))
+        .join('\n');
+    case 'tools_list':
+      return result.tools
+        .map(tool => [tool.name, tool.description || ''].join('\t'))
+        .join('\n');
+    case 'query_response':
+      return result.response;
+    case 'tool_result':
+      return toolResultText(result.result);
+    case 'batch_summary':
+      return ['total', 'completed', 'failed', 'skipped', 'average_latency_ms', 'results']
+        .map(key => `${key}\t${result[key]}`)
+        .join('\n');
+    case 'apply':
+      return result.actions
+        .map(step => [step.id, step.action, step.status || 'planned', step.error || step.warning || step.reason].join('\t'))
+        .join('\n');
+    case 'tools_search':
+      return result.results
+        .map(match => [match.server_id, match.tool_name, match.score, match.description].join('\t'))
+        .join('\n');
+    case 'tool_description':
+      return [
+        `${result.tool.name}\t${result.server_id}`,
+        result.tool.description || '',
+        ...result.examples.map(args => JSON.stringify(args))
+      ].join('\n');
+    case 'server_connected':
+      return `connected\t${result.server_id}`;
+    case 'server_disconnected':
+      return `disconnected\t${result.server_id}`;
+    case 'connected':
+      return `connected\t${result.url}`;
+    case 'logged_in':
+      return `logged_in\t${result.url}`;
+    case 'logged_out':
+      return `${result.removed ? 'logged_out' : 'not_logged_in'}\t${result.url}`;
+    case 'mock_server':
+      return `listening\t${result.url}`;
+    case 'replay':
+      return `replayed\t${result.frames}`;
+    case 'config':
+      return Object.entries(result.values)
+        .map(([key, value]) => `${key}\t${value}`)
+        .join('\n');
+    case 'config_value':
+      return String(result.value);
+    case 'config_updated':
+      return `${result.key}\t${result.path}`;
+    case 'config_paths':
+      return `user\t${result.user}\nproject\t${result.project}`;
+    case 'conversations_list':
+      return result.conversations
+        .map(conversation => [conversation.id, conversation.turns, conversation.title].join('\t'))
+        .join('\n');
+    case 'conversation':
+      return result.turns
+        .map(turn => `> ${turn.query}\n${turn.error ? `error: ${turn.error}` : turn.response}`)
+        .join('\n\n');
+    case 'conversation_deleted':
+      return `deleted\t${result.id}`;
+    case 'thinking':
+      return result.agent ? `thinking (${result.agent}): ${result.message}` : `thinking: ${result.message}`;
+    case 'tool_call':
+      return `tool call: ${[result.server_id, result.tool_name].filter(Boolean).join('/')} ${JSON.stringify(result.arguments || {})}`;
+    case 'tool_call_result':
+      return `tool ${result.is_error ? 'failed' : 'done'}: ${[result.server_id, result.tool_name].filter(Boolean).join('/') || result.call_id}`;
+    case 'tool_approval':
+      return `approval: ${result.approved ? 'allowed' : 'denied'} ${result.server_id}/${result.tool_name} (${result.reason})`;
+    case 'error':
+      return `error: ${result.error}`;
+    default:
+      return JSON.stringify(result);
+  }
+}
+
+// Print the final result of a command in the chosen format
+export function printResult(format, result) {
+  if (format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (format === 'ndjson') {
+    console.log(JSON.stringify(result));
+  } else if (format === 'plain') {
+    const text = formatPlain(result);
+    if (text) console.log(text);
+  }
+}
+
+// Events worth a line on stderr in plain mode
+const PLAIN_EVENTS = ['thinking', 'tool_call', 'tool_call_result', 'tool_approval', 'status', 'error', 'server_connected', 'server_disconnected'];
+
+// Print an event that arrives while a command is running (thinking, status, ...)
+export function printEvent(format, event) {
+  const stream = event.type === 'error' ? process.stderr : process.stdout;
+
+  // json prints a single document at the end, so only errors get through early
+  if (format === 'json' && event.type !== 'error') {
+    return;
+  }
+
+  if (isStructured(format)) {
+    stream.write(JSON.stringify(event) + '\n');
+  } else if (format === 'plain' && PLAIN_EVENTS.includes(event.type)) {
+    // Keep stdout for the result itself
+    process.stderr.write(formatPlain(event) + '\n');
+  }
+}
+
+export function reportError(format, context, error) {
+  const message = error.message || String(error);
+
+  if (isStructured(format)) {
+    process.stderr.write(JSON.stringify({ type: 'error', context, error: message }) + '\n');
+  } else if (format === 'plain') {
+    process.stderr.write(`error: ${context}: ${message}\n`);
+  } else {
+    handleError(context, error);
+  }
+}
+
+// Something the user should know about that doesn't stop the command
+export function reportWarning(format, message) {
+  if (format === SILENT_OUTPUT) return;
+
+  if (isStructured(format)) {
+    process.stderr.write(JSON.stringify({ type: 'warning', warning: message }) + '\n');
+  } else if (format === 'plain') {
+    process.stderr.write(`warning: ${message}\n`);
+  } else {
+    console.error(theme.warning(`${theme.icon('warning')}${message}`));
+  }
+}
+
+// A frame the client had to drop; a warning rather than an error, the command goes on
+export function reportInvalidFrame(format, error) {
+  if (format === SILENT_OUTPUT) return;
+
+  if (isStructured(format)) {
+    process.stderr.write(JSON.stringify({ type: 'protocol_error', error: error.message }) + '\n');
+  } else if (format === 'plain') {
+    process.stderr.write(`warning: ${error.message}\n`);
+  } else {
+    console.error(theme.warning(`${theme.icon('warning')}${error.message}`));
+  }
+}
+
+export function printToolDescription(serverId, tool, schema, examples) {
+  console.log(boxen(
+    theme.success(`${theme.icon('tool')}${tool.name}`) + theme.muted(` on ${serverId}\n\n`) +
+    theme.text(tool.description || 'No description'),
+    { padding: 1, margin: { top: 1 }, borderColor: theme.borderColor('success'), borderStyle: 'round' }
+  ));
+
+  console.log(theme.primary('\n' + theme.icon('list') + 'Parameters\n'));
+
+  const tree = schemaTree(schema);
+
+  if (tree.length === 0) {
+    console.log(theme.muted('  This tool takes no parameters'));
+  }
+
+  tree.forEach(({ prefix, name, required, details, description }) => {
+    console.log(
+      '  ' + theme.muted(prefix) + theme.success(name) +
+      (required ? theme.error('*') : '') +
+      theme.muted(` (${details})`) +
+      (description ? theme.text(` ${description}`) : '')
+    );
+  });
+
+  if (tree.length > 0) {
+    console.log(theme.muted('\n  ') + theme.error('*') + theme.muted(' required'));
+  }
+
+  console.log(theme.primary('\n' + theme.icon('tip') + 'Examples\n'));
+
+  examples.forEach(args => {
+    console.log(theme.accent(`  brain tools call --id ${serverId} ${tool.name} --args '${JSON.stringify(args)}'`));
+  });
+
+  console.log('');
+}
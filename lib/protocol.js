@@ -0,0 +1,197 @@
+// Protocol spoken with the Brain; bump the major version for breaking frame changes
+export const PROTOCOL_VERSION = '1.0';
+
+// Optional features a Brain can advertise in its hello frame
+export const CAPABILITIES = ['streaming', 'tool_calls', 'conversations', 'tool_approval'];
+
+const string = { type: 'string' };
+const number = { type: 'number' };
+const id = { type: ['string', 'number'] };
+
+const serverSchema = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: string,
+    status: string,
+    tools_count: number
+  }
+};
+
+const toolSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: string,
+    description: { type: ['string', 'null'] }
+  }
+};
+
+// Shape of every frame the Brain may send, keyed by type
+export const FRAME_SCHEMAS = {
+  hello: {
+    required: ['protocol_version'],
+    properties: {
+      protocol_version: string,
+      capabilities: { type: 'array', items: string }
+    }
+  },
+  server_connected: {
+    required: ['server'],
+    properties: { server: serverSchema }
+  },
+  server_disconnected: {
+    required: ['server_id'],
+    properties: { server_id: string }
+  },
+  servers_list: {
+    required: ['servers'],
+    properties: {
+      servers: { type: 'object', additionalProperties: serverSchema }
+    }
+  },
+  tools_list: {
+    required: ['tools'],
+    properties: {
+      server_id: string,
+      tools: { type: 'array', items: toolSchema }
+    }
+  },
+  tool_result: {
+    required: ['result'],
+    properties: {
+      server_id: string,
+      tool_name: string,
+      result: { type: ['array', 'string', 'object'] },
+      is_error: { type: 'boolean' }
+    }
+  },
+  query_response: {
+    required: ['response'],
+    properties: { response: string }
+  },
+  query_chunk: {
+    required: ['chunk'],
+    properties: { chunk: string }
+  },
+  query_done: {
+    properties: { response: string }
+  },
+  // agent and step_id group thinking and tool calls into a trace; both are optional
+  thinking: {
+    required: ['message'],
+    properties: { message: string, agent: string, step_id: id }
+  },
+  tool_call: {
+    required: ['tool_name'],
+    properties: {
+      call_id: id,
+      agent: string,
+      step_id: id,
+      server_id: string,
+      tool_name: string,
+      arguments: { type: 'object' }
+    }
+  },
+  tool_call_result: {
+    required: ['call_id'],
+    properties: {
+      call_id: id,
+      server_id: string,
+      tool_name: string,
+      result: { type: ['array', 'string', 'object', 'null'] },
+      is_error: { type: 'boolean' }
+    }
+  },
+  // The Brain waits for an approve_tool command before running the call
+  tool_approval_request: {
+    required: ['approval_id', 'server_id', 'tool_name'],
+    properties: {
+      approval_id: id,
+      call_id: id,
+      agent: string,
+      server_id: string,
+      tool_name: string,
+      arguments: { type: 'object' }
+    }
+  },
+  status: {},
+  error: {
+    required: ['error'],
+    properties: { error: string }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// A small subset of JSON Schema: type, required, properties, items and additionalProperties
+function checkValue(schema, value, at, problems) {
+  const types = [].concat(schema.type || []);
+
+  if (types.length > 0 && !types.includes(typeOf(value))) {
+    problems.push(`${at} must be ${types.join(' or ')}, got ${typeOf(value)}`);
+    return;
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => checkValue(schema.items, item, `${at}[${index}]`, problems));
+  }
+
+  if (typeOf(value) !== 'object') return;
+
+  for (const name of schema.required || []) {
+    if (value[name] === undefined) {
+      problems.push(`${at}.${name} is missing`);
+    }
+  }
+
+  for (const [name, item] of Object.entries(value)) {
+    const spec = (schema.properties || {})[name] || schema.additionalProperties;
+
+    if (spec && item !== undefined) {
+      checkValue(spec, item, `${at}.${name}`, problems);
+    }
+  }
+}
+
+// Returns a list of problems with a frame; empty when it is safe to handle
+export function validateFrame(frame) {
+  if (typeOf(frame) !== 'object') {
+    return [`frame must be an object, got ${typeOf(frame)}`];
+  }
+  if (typeof frame.type !== 'string') {
+    return ['frame has no "type"'];
+  }
+
+  const schema = FRAME_SCHEMAS[frame.type];
+
+  // Unknown types are reported by the client, not rejected here
+  if (!schema) return [];
+
+  const problems = [];
+  checkValue({ type: 'object', ...schema }, frame, frame.type, problems);
+  return problems;
+}
+
+export function majorVersion(version) {
+  return Number.parseInt(String(version), 10);
+}
+
+// Work out what the server supports from its hello frame
+export function negotiate(hello) {
+  if (majorVersion(hello.protocol_version) !== majorVersion(PROTOCOL_VERSION)) {
+    throw new Error(
+      `Brain speaks protocol ${hello.protocol_version}, but this CLI supports ${PROTOCOL_VERSION}; ` +
+      'upgrade whichever side is older'
+    );
+  }
+
+  return {
+    version: hello.protocol_version,
+    capabilities: (hello.capabilities || []).filter(capability => CAPABILITIES.includes(capability))
+  };
+}
@@ -0,0 +1,114 @@
+import fs from 'fs';
+
+import { redact } from './logger.js';
+import { sleep } from './utils.js';
+
+export const RECORDING_TYPE = 'brain_session';
+export const RECORDING_VERSION = 1;
+
+// Writes every frame a client sends or receives to a JSON lines file, timed from the start
+export class SessionRecorder {
+  constructor(filePath, { argv = process.argv.slice(2), output = 'table' } = {}) {
+    this.filePath = filePath;
+    this.argv = argv;
+    this.output = output;
+    this.client = null;
+    this.startedAt = null;
+    this.onFrame = (event) => this.record(event);
+  }
+
+  start(client) {
+    this.client = client;
+    this.startedAt = Date.now();
+
+    // Truncates an earlier recording at the same path
+    fs.writeFileSync(this.filePath, JSON.stringify({
+      type: RECORDING_TYPE,
+      version: RECORDING_VERSION,
+      recorded_at: new Date(this.startedAt).toISOString(),
+      argv: redact(this.argv),
+      output: this.output
+    }) + '\n');
+
+    client.on('frame', this.onFrame);
+    return this;
+  }
+
+  stop() {
+    if (this.client) {
+      this.client.off('frame', this.onFrame);
+      this.client = null;
+    }
+  }
+
+  record({ direction, text }) {
+    const entry = { at: Date.now() - this.startedAt, direction };
+
+    try {
+      const frame = JSON.parse(text);
+      // Replay only needs what came in, so outbound frames can lose their secrets
+      entry.frame = direction === 'out' ? redact(frame) : frame;
+    } catch {
+      entry.raw = text;
+    }
+
+    // Synchronous, so a crash or process.exit still leaves a complete recording
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+  }
+}
+
+export function parseRecording(text, source = 'recording') {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const entries = lines.map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${index + 1} of ${source} is not valid JSON: ${error.message}`);
+    }
+  });
+
+  const [header, ...frames] = entries;
+
+  if (!header || header.type !== RECORDING_TYPE) {
+    throw new Error(`${source} is not a Brain session recording`);
+  }
+  if (header.version !== RECORDING_VERSION) {
+    throw new Error(`${source} is recording version ${header.version}, but this CLI reads version ${RECORDING_VERSION}`);
+  }
+
+  return { header, frames };
+}
+
+export function loadRecording(filePath) {
+  let text;
+
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read recording ${filePath}: ${error.message}`);
+  }
+
+  return parseRecording(text, filePath);
+}
+
+// Feed the recorded inbound frames back through the client; speed 2 plays twice as fast, Infinity skips the pauses
+export async function replayRecording(client, recording, { speed = 1 } = {}) {
+  let previous = 0;
+  let count = 0;
+
+  for (const entry of recording.frames) {
+    if (entry.direction !== 'in') continue;
+
+    const wait = (entry.at - previous) / speed;
+    previous = entry.at;
+
+    if (wait > 0) {
+      await sleep(wait);
+    }
+
+    client.receive(entry.raw !== undefined ? entry.raw : JSON.stringify(entry.frame));
+    count++;
+  }
+
+  return count;
+}
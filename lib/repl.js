@@ -0,0 +1,386 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+import { parseApprovalAnswer, renderApprovalRequest } from './approvals.js';
+import { getUserDataDir } from './config.js';
+import { askInConversation } from './history.js';
+import { printToolDescription } from './output.js';
+import { theme } from './theme.js';
+import { getToolSchema, toolExamples } from './tools.js';
+import { parseServerConfig } from './utils.js';
+
+export const HISTORY_SIZE = 1000;
+
+// Lines that arrive closer together than this were pasted, not typed, and form one query
+const PASTE_WINDOW = 25;
+
+export const SLASH_COMMANDS = {
+  '/servers': { usage: '/servers', description: 'List connected MCP servers' },
+  '/tools': { usage: '/tools <server> [tool]', description: 'List a server\'s tools, or describe one of them' },
+  '/connect': { usage: '/connect <id> <path|url|json>', description: 'Connect a new MCP server' },
+  '/clear': { usage: '/clear', description: 'Clear the screen' },
+  '/save': { usage: '/save [file]', description: 'Save this conversation as Markdown' },
+  '/help': { usage: '/help', description: 'Show these commands' },
+  '/exit': { usage: '/exit', description: 'Back to the main menu (or press Ctrl+D)' }
+};
+
+export function getReplHistoryPath() {
+  return path.join(getUserDataDir(), 'repl_history');
+}
+
+// One JSON string per line, oldest first, so multi-line entries survive; readline wants newest first
+export function loadReplHistory(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(entry => typeof entry === 'string' && entry !== '')
+    .reverse()
+    .slice(0, HISTORY_SIZE);
+}
+
+export function saveReplHistory(filePath, history) {
+  const lines = history.slice(0, HISTORY_SIZE).reverse().map(entry => JSON.stringify(entry));
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, lines.join('\n') + '\n');
+}
+
+// A trailing backslash or an open ``` fence carries the input on to the next line
+export function needsContinuation(text) {
+  const fences = text.match(/^\s*```/gm) || [];
+  return text.endsWith('\\') || fences.length % 2 === 1;
+}
+
+export function joinLines(lines) {
+  return lines.map(line => line.replace(/\\$/, '')).join('\n').trim();
+}
+
+export function parseSlashCommand(input) {
+  const match = input.trim().match(/^(\/\S+)\s*([\s\S]*)$/);
+
+  if (!match) {
+    return null;
+  }
+
+  return { name: match[1].toLowerCase(), args: match[2].trim() };
+}
+
+export function conversationMarkdown(conversation) {
+  const lines = [`# ${conversation.title}`, '', `Conversation ${conversation.id}, started ${conversation.created_at}`];
+
+  conversation.turns.forEach(turn => {
+    lines.push('', `## ${turn.query.split('\n')[0]}`, '');
+
+    if (turn.query.includes('\n')) {
+      lines.push(turn.query, '');
+    }
+    lines.push(turn.error ? `> Error: ${turn.error}` : (turn.response || ''));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// Interactive query prompt: history, multi-line paste, slash commands and completion on top of readline
+export class QueryRepl {
+  constructor(client, conversation, options = {}) {
+    this.client = client;
+    this.conversation = conversation;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.historyPath = options.historyPath || getReplHistoryPath();
+    this.pasteWindow = options.pasteWindow ?? PASTE_WINDOW;
+    this.prompt = theme.primary('Brain > ');
+    this.continuationPrompt = theme.muted('  ... ');
+    this.rl = null;
+    this.closed = false;
+    this.lines = [];
+    this.historyBefore = [];
+    this.pasteTimer = null;
+    this.controller = null;
+    this.serverIds = null;
+    this.toolNames = new Map();
+  }
+
+  print(text = '') {
+    this.output.write(text + '\n');
+  }
+
+  run() {
+    const history = loadReplHistory(this.historyPath);
+
+    this.rl = readline.createInterface({
+      input: this.input,
+      output: this.output,
+      prompt: this.prompt,
+      history,
+      historySize: HISTORY_SIZE,
+      removeHistoryDuplicates: true,
+      completer: (line, callback) => {
+        this.complete(line).then(result => callback(null, result), () => callback(null, [[], line]));
+      }
+    });
+    this.history = this.rl.history;
+    // An inquirer menu would fight this readline for stdin, so approvals are asked here
+    const restorePrompt = this.client.approvals.usePrompt((request) => this.askApproval(request));
+
+    this.print(theme.muted('Type a question, /help for commands. Ctrl+C cancels a running query, /exit or Ctrl+D goes back.\n'));
+    this.showPrompt();
+
+    return new Promise((resolve) => {
+      this.rl.on('line', (line) => this.handleLine(line));
+      this.rl.on('SIGINT', () => this.handleInterrupt());
+      this.rl.on('close', () => {
+        this.closed = true;
+        clearTimeout(this.pasteTimer);
+        this.controller?.abort();
+        restorePrompt();
+        resolve();
+      });
+    });
+  }
+
+  close() {
+    this.rl?.close();
+  }
+
+  showPrompt() {
+    if (this.closed) return;
+
+    this.historyBefore = [...this.history];
+    this.rl.setPrompt(this.prompt);
+    this.rl.prompt();
+  }
+
+  handleLine(line) {
+    // Whatever is typed while a query runs would otherwise be sent after it finishes
+    if (this.controller) return;
+
+    this.lines.push(line);
+    clearTimeout(this.pasteTimer);
+    this.pasteTimer = setTimeout(() => this.submit(), this.pasteWindow);
+  }
+
+  async submit() {
+    if (this.closed) return;
+
+    if (needsContinuation(this.lines.join('\n'))) {
+      this.rl.setPrompt(this.continuationPrompt);
+      this.rl.prompt();
+      return;
+    }
+
+    const entry = joinLines(this.lines);
+    this.lines = [];
+
+    if (!entry) {
+      this.showPrompt();
+      return;
+    }
+
+    this.remember(entry);
+
+    const keepGoing = await this.execute(entry);
+
+    if (keepGoing) {
+      this.showPrompt();
+    } else {
+      this.close();
+    }
+  }
+
+  // readline records every physical line; keep the whole entry as one history item instead
+  remember(entry) {
+    const next = [entry, ...this.historyBefore.filter(item => item !== entry)].slice(0, HISTORY_SIZE);
+    this.history.splice(0, this.history.length, ...next);
+
+    try {
+      saveReplHistory(this.historyPath, this.history);
+    } catch (error) {
+      this.print(theme.warning(`Could not save input history: ${error.message}`));
+    }
+  }
+
+  handleInterrupt() {
+    if (this.controller) {
+      this.controller.abort();
+      return;
+    }
+
+    // Nothing running: drop the half-typed input, like a shell does
+    clearTimeout(this.pasteTimer);
+    const hadInput = this.lines.length > 0 || this.rl.line;
+    this.lines = [];
+    this.rl.line = '';
+    this.rl.cursor = 0;
+    this.print(hadInput ? '' : '\n' + theme.muted('Type /exit or press Ctrl+D to go back to the main menu'));
+    this.showPrompt();
+  }
+
+  // Resolves to once, always or deny; cancelling the query denies
+  askApproval(request) {
+    const signal = this.controller?.signal;
+    this.print('\n' + renderApprovalRequest(request));
+
+    return new Promise((resolve) => {
+      const ask = () => {
+        if (this.closed || signal?.aborted) {
+          resolve('deny');
+          return;
+        }
+
+        this.rl.question(theme.warning('Run it? ') + theme.muted('[y]es once, [a]lways, [N]o: '), { signal }, (answer) => {
+          const choice = parseApprovalAnswer(answer);
+          if (choice) resolve(choice); else ask();
+        });
+      };
+
+      signal?.addEventListener('abort', () => resolve('deny'), { once: true });
+      ask();
+    });
+  }
+
+  // Resolves false when the REPL should end
+  async execute(entry) {
+    const command = parseSlashCommand(entry);
+
+    if (command) {
+      try {
+        return await this.runSlashCommand(command);
+      } catch (error) {
+        this.print(theme.error(`${command.name} failed: `) + error.message);
+        return true;
+      }
+    }
+
+    this.controller = new AbortController();
+
+    try {
+      await askInConversation(this.client, this.conversation, entry, { signal: this.controller.signal });
+    } catch (error) {
+      if (error.code === 'CANCELLED') {
+        this.print(theme.warning('Query cancelled'));
+      } else {
+        this.print(theme.error('Query failed: ') + error.message);
+      }
+    } finally {
+      this.controller = null;
+    }
+
+    this.print();
+    return true;
+  }
+
+  async runSlashCommand({ name, args }) {
+    const [first, second] = args.split(/\s+/);
+
+    switch (name) {
+      case '/servers': {
+        const servers = await this.client.listServers();
+        this.serverIds = servers.map(server => server.id);
+        return true;
+      }
+      case '/tools': {
+        if (!first) {
+          throw new Error(`usage: ${SLASH_COMMANDS['/tools'].usage}`);
+        }
+        if (!second) {
+          const tools = await this.client.listTools(first);
+          this.toolNames.set(first, tools.map(tool => tool.name));
+          return true;
+        }
+
+        const tool = (await this.client.fetchTools(first)).find(item => item.name === second);
+
+        if (!tool) {
+          throw new Error(`Server ${first} has no tool named "${second}"`);
+        }
+
+        const schema = getToolSchema(tool);
+        printToolDescription(first, tool, schema, toolExamples(schema));
+        return true;
+      }
+      case '/connect': {
+        const config = args.slice(first.length).trim();
+
+        if (!first || !config) {
+          throw new Error(`usage: ${SLASH_COMMANDS['/connect'].usage}`);
+        }
+
+        await this.client.connectServer(first, parseServerConfig(config));
+        this.serverIds = null;
+        this.toolNames.delete(first);
+        return true;
+      }
+      case '/clear':
+        readline.cursorTo(this.output, 0, 0);
+        readline.clearScreenDown(this.output);
+        return true;
+      case '/save': {
+        const filePath = args || `conversation-${this.conversation.id.slice(0, 8)}.md`;
+        fs.writeFileSync(filePath, conversationMarkdown(this.conversation));
+        this.print(theme.success(`${theme.icon('success')}Saved ${this.conversation.turns.length} turns to ${filePath}`));
+        return true;
+      }
+      case '/help':
+        Object.values(SLASH_COMMANDS).forEach(({ usage, description }) => {
+          this.print('  ' + theme.accent(usage.padEnd(32)) + theme.muted(description));
+        });
+        return true;
+      case '/exit':
+        return false;
+      default:
+        throw new Error('unknown command, type /help for the list');
+    }
+  }
+
+  async knownServerIds() {
+    if (!this.serverIds) {
+      this.serverIds = (await this.client.fetchServers()).map(server => server.id);
+    }
+    return this.serverIds;
+  }
+
+  async knownToolNames(serverId) {
+    if (!this.toolNames.has(serverId)) {
+      this.toolNames.set(serverId, (await this.client.fetchTools(serverId)).map(tool => tool.name));
+    }
+    return this.toolNames.get(serverId);
+  }
+
+  // readline completer: [candidates, the fragment they replace]
+  async complete(line) {
+    if (!line.startsWith('/')) {
+      return [[], line];
+    }
+
+    const words = line.split(/\s+/);
+    const current = words[words.length - 1];
+    const matching = (candidates) => candidates.filter(candidate => candidate.startsWith(current));
+
+    // The trailing space lets the next word be completed straight away
+    if (words.length === 1) {
+      return [matching(Object.keys(SLASH_COMMANDS).map(name => name + ' ')), current];
+    }
+
+    const name = words[0].toLowerCase();
+
+    if (words.length === 2 && name === '/tools') {
+      return [matching((await this.knownServerIds()).map(id => id + ' ')), current];
+    }
+    if (words.length === 3 && name === '/tools') {
+      return [matching(await this.knownToolNames(words[1])), current];
+    }
+
+    return [[], current];
+  }
+}
@@ -0,0 +1,198 @@
+import Table from 'cli-table3';
+
+import { theme } from './theme.js';
+import { createStatusBadge, formatDuration, truncate } from './utils.js';
+
+// Errors kept per server, newest last
+const MAX_RECENT_ERRORS = 5;
+
+function normalizeError(error) {
+  return typeof error === 'string'
+    ? { message: error, at: null }
+    : { message: error.message || error.error || JSON.stringify(error), at: error.at || null };
+}
+
+// Brains send a list of errors or just the last one; anything else, or empty entries, is dropped
+function reportedErrors(server) {
+  const errors = Array.isArray(server.errors) ? server.errors : [server.last_error];
+  return errors.filter(Boolean).map(normalizeError);
+}
+
+// Brains report uptime in seconds or a connected_at timestamp; either may be missing or garbled
+function uptimeOf(server, now) {
+  if (Number.isFinite(server.uptime)) return server.uptime * 1000;
+
+  const connectedAt = typeof server.connected_at === 'string' ? Date.parse(server.connected_at) : NaN;
+  return Number.isNaN(connectedAt) ? null : Math.max(now - connectedAt, 0);
+}
+
+export function isHealthy(server) {
+  return server.status === 'connected';
+}
+
+export function unhealthyServers(snapshot) {
+  return snapshot.servers.filter(server => !isHealthy(server));
+}
+
+// What changed between two snapshots, one entry per server
+export function diffStatus(previous, current) {
+  if (!previous) return [];
+
+  const before = new Map(previous.servers.map(server => [server.id, server]));
+  const after = new Map(current.servers.map(server => [server.id, server]));
+  const changes = [];
+
+  for (const server of current.servers) {
+    const old = before.get(server.id);
+
+    if (!old) {
+      changes.push({ id: server.id, change: 'added', to: server.status });
+    } else if (old.status !== server.status) {
+      changes.push({ id: server.id, change: 'status', from: old.status, to: server.status });
+    } else if (old.tools_count !== server.tools_count) {
+      changes.push({ id: server.id, change: 'tools', from: old.tools_count, to: server.tools_count });
+    } else if (server.errors.length > old.errors.length) {
+      changes.push({ id: server.id, change: 'errors', from: old.errors.length, to: server.errors.length });
+    }
+  }
+
+  for (const server of previous.servers) {
+    if (!after.has(server.id)) {
+      changes.push({ id: server.id, change: 'removed', from: server.status });
+    }
+  }
+
+  return changes;
+}
+
+// Tracks server health across refreshes, adding errors seen on the wire to what the Brain reports
+export class StatusMonitor {
+  constructor(brainClient) {
+    this.client = brainClient;
+    this.previous = null;
+    this.observedErrors = new Map();
+    this.onMessage = (message) => this.handleMessage(message);
+  }
+
+  start() {
+    this.client.on('message', this.onMessage);
+  }
+
+  stop() {
+    this.client.off('message', this.onMessage);
+  }
+
+  handleMessage({ type, ...data }) {
+    if (type === 'error' && data.server_id) {
+      this.recordError(data.server_id, data.error);
+    } else if (type === 'server_disconnected') {
+      this.recordError(data.server_id, 'Disconnected');
+    }
+  }
+
+  recordError(serverId, message) {
+    const errors = this.observedErrors.get(serverId) || [];
+    errors.push({ message, at: new Date().toISOString() });
+    this.observedErrors.set(serverId, errors.slice(-MAX_RECENT_ERRORS));
+  }
+
+  async refresh() {
+    const now = Date.now();
+    const { servers, roundTrip } = await this.client.fetchStatus();
+
+    const snapshot = {
+      type: 'system_status',
+      fetched_at: new Date(now).toISOString(),
+      connected: this.client.connected,
+      url: this.client.url,
+      latency: roundTrip,
+      protocol: this.client.protocol,
+      servers: servers.map(server => {
+        const reported = reportedErrors(server);
+        const uptime = uptimeOf(server, now);
+
+        return {
+          id: server.id,
+          status: server.status,
+          tools_count: server.tools_count ?? 0,
+          uptime_seconds: uptime === null ? null : Math.floor(uptime / 1000),
+          errors: [...reported, ...(this.observedErrors.get(server.id) || [])].slice(-MAX_RECENT_ERRORS)
+        };
+      })
+    };
+
+    snapshot.healthy = unhealthyServers(snapshot).length === 0;
+    snapshot.changes = diffStatus(this.previous, snapshot);
+    this.previous = snapshot;
+
+    return snapshot;
+  }
+}
+
+function describeChange({ id, change, from, to }) {
+  switch (change) {
+    case 'added':
+      return `${id} appeared (${to})`;
+    case 'removed':
+      return `${id} went away (was ${from})`;
+    case 'status':
+      return `${id} ${from} → ${to}`;
+    case 'tools':
+      return `${id} tools ${from} → ${to}`;
+    default:
+      return `${id} has ${to - from} new error${to - from === 1 ? '' : 's'}`;
+  }
+}
+
+export function renderStatus(snapshot) {
+  const lines = [];
+  const changed = new Set(snapshot.changes.map(change => change.id));
+  const protocol = snapshot.protocol && snapshot.protocol.version
+    ? `protocol ${snapshot.protocol.version} (${snapshot.protocol.capabilities.join(', ') || 'no capabilities'})`
+    : 'legacy protocol';
+
+  lines.push(
+    theme.primary('\n' + theme.icon('status') + 'Brain Status  ') +
+    createStatusBadge(snapshot.connected ? 'connected' : 'disconnected') +
+    theme.muted(`  ${snapshot.url} · ${snapshot.latency}ms · ${protocol} · ` +
+      `updated ${new Date(snapshot.fetched_at).toLocaleTimeString()}\n`)
+  );
+
+  if (snapshot.servers.length === 0) {
+    lines.push(theme.muted('No servers connected'));
+  } else {
+    const table = new Table({
+      head: ['Server', 'Status', 'Tools', 'Uptime', 'Recent errors'].map(title => theme.primary(title)),
+      style: theme.tableStyle()
+    });
+
+    snapshot.servers.forEach(server => {
+      const lastError = server.errors[server.errors.length - 1];
+      const id = changed.has(server.id) ? theme.warning.bold(`${server.id} *`) : theme.success(server.id);
+
+      table.push([
+        id,
+        createStatusBadge(server.status || 'unknown'),
+        theme.accent(server.tools_count),
+        server.uptime_seconds === null ? theme.muted('-') : theme.text(formatDuration(server.uptime_seconds * 1000)),
+        lastError
+          ? theme.error(`${server.errors.length} · ${truncate(lastError.message, 40)}`)
+          : theme.muted('none')
+      ]);
+    });
+
+    lines.push(table.toString());
+  }
+
+  if (snapshot.changes.length > 0) {
+    lines.push(theme.warning('\n* Changed since last refresh:'));
+    snapshot.changes.forEach(change => lines.push(theme.warning(`  ${describeChange(change)}`)));
+  }
+
+  const unhealthy = unhealthyServers(snapshot);
+  lines.push(unhealthy.length === 0
+    ? theme.success('\n' + theme.icon('success') + 'All servers healthy')
+    : theme.error(`\n${theme.icon('error')}Unhealthy: ${unhealthy.map(server => server.id).join(', ')}`));
+
+  return lines.join('\n');
+}
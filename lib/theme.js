@@ -0,0 +1,241 @@
+import { Chalk } from 'chalk';
+import boxen from 'boxen';
+import Table from 'cli-table3';
+import gradient from 'gradient-string';
+
+import { getProjectConfigPath, getUserConfigPath, readConfigFile } from './config.js';
+
+export const DEFAULT_THEME = 'rainbow';
+
+// Every color a theme sets; output code asks for a role, never for a color
+export const ROLES = ['primary', 'accent', 'success', 'warning', 'error', 'muted', 'text'];
+
+// Colors are chalk names, modifiers joined with dots ("bold.cyanBright") or hex codes
+export const BUILT_IN_THEMES = {
+  rainbow: {
+    description: 'The classic look with a retro gradient banner',
+    colors: { primary: 'blue', accent: 'cyan', success: 'green', warning: 'yellow', error: 'red', muted: 'gray', text: 'white' },
+    gradient: 'retro'
+  },
+  ocean: {
+    description: 'Calm blues and teals',
+    colors: { primary: 'cyan', accent: 'blueBright', success: 'greenBright', warning: 'yellowBright', error: 'redBright', muted: 'gray', text: 'whiteBright' },
+    gradient: 'cristal'
+  },
+  'high-contrast': {
+    description: 'Bold, bright colors for low-contrast terminals and projectors',
+    colors: {
+      primary: 'bold.whiteBright',
+      accent: 'bold.cyanBright',
+      success: 'bold.greenBright',
+      warning: 'bold.yellowBright',
+      error: 'bold.redBright',
+      muted: 'white',
+      text: 'whiteBright'
+    },
+    gradient: null
+  },
+  plain: {
+    description: 'No colors and no emoji, for screen readers and logs',
+    colors: {},
+    gradient: null,
+    color: false,
+    emoji: false
+  }
+};
+
+// Emoji for each icon, and the text used when a theme has emoji turned off
+const ICONS = {
+  brain: ['🧠', ''],
+  response: ['🤖', ''],
+  thinking: ['🤔', '...'],
+  success: ['✅', '[ok]'],
+  error: ['❌', '[error]'],
+  fatal: ['💥', '[error]'],
+  warning: ['⚠️ ', '[warning]'],
+  info: ['ℹ️ ', '[info]'],
+  tip: ['💡', ''],
+  status: ['📊', ''],
+  trace: ['🧭', ''],
+  approval: ['🔐', ''],
+  tool: ['🔧', ''],
+  tools: ['🛠️ ', ''],
+  servers: ['🖥️ ', ''],
+  launch: ['🚀', ''],
+  connect: ['🔗', ''],
+  disconnect: ['🔌', ''],
+  reconnect: ['🔄', ''],
+  batch: ['📦', ''],
+  search: ['🔍', ''],
+  conversation: ['💬', ''],
+  list: ['📋', ''],
+  mock: ['🧪', ''],
+  new: ['✨', ''],
+  remote: ['🌐', ''],
+  local: ['📁', ''],
+  settings: ['⚙️ ', ''],
+  performance: ['⚡', ''],
+  theme: ['🎨', ''],
+  notifications: ['🔔', ''],
+  back: ['🔙', ''],
+  goodbye: ['👋', '']
+};
+
+// The active theme; every module shares this object and applyTheme swaps what is in it
+export const theme = {
+  name: DEFAULT_THEME,
+  color: true,
+  emoji: true,
+
+  icon(name) {
+    const [emoji, text] = ICONS[name] || ['', ''];
+    const icon = this.emoji ? emoji : text;
+    return icon ? `${icon} ` : '';
+  },
+
+  // boxen and cli-table3 want a bare color name for borders
+  borderColor(role) {
+    if (!this.color) return undefined;
+
+    const last = (this.colors[role] || '').split('.').pop();
+    return last || undefined;
+  },
+
+  tableStyle(role = 'accent') {
+    const color = this.borderColor(role);
+    // cli-table3 spells bright colors brightBlue where chalk says blueBright, and has no hex
+    const name = color && color.replace(/^([a-z]+)Bright$/, (match, base) => `bright${base[0].toUpperCase()}${base.slice(1)}`);
+    return { head: [], border: name && /^[a-zA-Z]+$/.test(name) ? [name] : [] };
+  },
+
+  gradient(text, { multiline = false } = {}) {
+    const preset = this.color && this.gradientName ? gradient[this.gradientName] : null;
+
+    if (!preset) return this.primary(text);
+    return multiline ? preset.multiline(text) : preset(text);
+  }
+};
+
+const probe = new Chalk();
+
+function isColorPart(part) {
+  return /^#[0-9a-f]{6}$|^#[0-9a-f]{3}$/i.test(part) || typeof probe[part] === 'function';
+}
+
+function paint(spec, chalk) {
+  return spec.split('.').reduce(
+    (builder, part) => (part.startsWith('#') ? builder.hex(part) : builder[part]),
+    chalk
+  );
+}
+
+// NO_COLOR (https://no-color.org) turns color off for every theme
+export function colorDisabled(env = process.env) {
+  return env.NO_COLOR !== undefined && env.NO_COLOR !== '';
+}
+
+// User themes live under "themes" in the user or project config file
+export function loadUserThemes({ cwd = process.cwd() } = {}) {
+  return {
+    ...(readConfigFile(getUserConfigPath()).themes || {}),
+    ...(readConfigFile(getProjectConfigPath(cwd)).themes || {})
+  };
+}
+
+export function listThemes(userThemes = loadUserThemes()) {
+  return [
+    ...Object.entries(BUILT_IN_THEMES).map(([name, spec]) => ({ name, description: spec.description, builtIn: true })),
+    ...Object.entries(userThemes)
+      .filter(([name]) => !BUILT_IN_THEMES[name])
+      .map(([name, spec]) => ({ name, description: spec.description || 'Custom theme', builtIn: false }))
+  ];
+}
+
+// A user theme may extend another theme and override only some of its colors
+export function resolveTheme(name, userThemes = loadUserThemes(), seen = new Set()) {
+  const spec = userThemes[name] || BUILT_IN_THEMES[name];
+
+  if (!spec) {
+    const known = listThemes(userThemes).map(item => item.name).join(', ');
+    throw new Error(`Unknown theme "${name}" (available: ${known})`);
+  }
+  if (seen.has(name)) {
+    throw new Error(`Theme "${name}" extends itself`);
+  }
+  seen.add(name);
+
+  let base = { colors: {}, gradient: null };
+
+  if (spec.extends) {
+    base = resolveTheme(spec.extends, userThemes, seen);
+  } else if (userThemes[name]) {
+    // User themes start from the default (or the built-in they replace) so they can set just a few colors
+    base = resolveTheme(BUILT_IN_THEMES[name] ? name : DEFAULT_THEME, {});
+  }
+
+  for (const [role, color] of Object.entries(spec.colors || {})) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Theme "${name}" sets unknown color "${role}" (expected ${ROLES.join(', ')})`);
+    }
+    if (typeof color !== 'string' || !color.split('.').every(isColorPart)) {
+      throw new Error(`Theme "${name}" has an invalid ${role} color: ${JSON.stringify(color)}`);
+    }
+  }
+
+  return {
+    colors: { ...base.colors, ...spec.colors },
+    gradient: spec.gradient !== undefined ? spec.gradient : base.gradient,
+    color: spec.color ?? base.color ?? true,
+    emoji: spec.emoji ?? base.emoji ?? true
+  };
+}
+
+// Whether color is allowed at all (NO_COLOR, --no-color); later theme switches keep the answer
+let colorAllowed = !colorDisabled();
+
+export function applyTheme(name = DEFAULT_THEME, { color = colorAllowed, userThemes } = {}) {
+  const spec = resolveTheme(name, userThemes);
+  const enabled = color && spec.color;
+
+  colorAllowed = color;
+  const chalk = new Chalk(enabled ? {} : { level: 0 });
+
+  theme.name = name;
+  theme.color = enabled;
+  theme.emoji = spec.emoji;
+  theme.colors = spec.colors;
+  theme.gradientName = spec.gradient;
+
+  for (const role of ROLES) {
+    theme[role] = paint(spec.colors[role] || 'reset', chalk);
+  }
+
+  return theme;
+}
+
+// A sample of everything a theme colors, for the Settings screen
+export function renderThemePreview() {
+  const table = new Table({
+    head: [theme.primary('Server'), theme.primary('Status')],
+    style: theme.tableStyle()
+  });
+
+  table.push(
+    [theme.success('math'), theme.success('● Connected')],
+    [theme.success('files'), theme.error('● Disconnected')]
+  );
+
+  return boxen(
+    theme.gradient(`${theme.icon('theme')}${theme.name}`) + '\n\n' +
+    theme.primary(`${theme.icon('brain')}Query: `) + theme.text('What is the weather?') + '\n' +
+    theme.warning(theme.icon('thinking')) + theme.muted('Checking the forecast') + '\n' +
+    theme.success(`${theme.icon('success')}Server connected`) + '  ' +
+    theme.warning(`${theme.icon('warning')}Slow response`) + '  ' +
+    theme.error(`${theme.icon('error')}Tool failed`) + '\n' +
+    theme.accent('brain tools --id math') + '\n\n' +
+    table.toString(),
+    { padding: 1, borderColor: theme.borderColor('primary'), borderStyle: 'round' }
+  );
+}
+
+applyTheme(DEFAULT_THEME, { userThemes: {} });
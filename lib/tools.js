@@ -0,0 +1,364 @@
+// MCP servers report the schema as inputSchema; some Brain builds use input_schema
+export function getToolSchema(tool) {
+  return tool.input_schema || tool.inputSchema || { type: 'object', properties: {} };
+}
+
+// Marks an optional enum or boolean the user chose not to set; inquirer can't use undefined as a value
+const SKIP = Symbol('skip');
+
+function describeType(spec) {
+  if (spec.enum) return 'enum';
+  if (Array.isArray(spec.type)) return spec.type.find(type => type !== 'null') || 'string';
+  return spec.type || 'string';
+}
+
+// Turn raw prompt input into the type the schema asks for
+export function coerceArgument(spec, raw) {
+  const type = describeType(spec);
+
+  if (raw === undefined || raw === '') {
+    return undefined;
+  }
+
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      const value = Number(raw);
+      if (Number.isNaN(value)) {
+        throw new Error(`expected a number, got "${raw}"`);
+      }
+      return value;
+    }
+    case 'boolean':
+      if (typeof raw === 'boolean') return raw;
+      if (['true', 'yes', '1'].includes(String(raw).toLowerCase())) return true;
+      if (['false', 'no', '0'].includes(String(raw).toLowerCase())) return false;
+      throw new Error(`expected true or false, got "${raw}"`);
+    case 'array':
+      if (Array.isArray(raw)) return raw;
+      if (String(raw).trim().startsWith('[')) return JSON.parse(raw);
+      return String(raw).split(',').map(item => coerceArgument(spec.items || {}, item.trim()));
+    case 'object':
+      return typeof raw === 'object' ? raw : JSON.parse(raw);
+    default:
+      return raw;
+  }
+}
+
+function checkType(spec, value) {
+  const type = describeType(spec);
+
+  switch (type) {
+    case 'enum':
+      return spec.enum.includes(value) ? null : `must be one of ${spec.enum.join(', ')}`;
+    case 'integer':
+      return Number.isInteger(value) ? null : 'must be an integer';
+    case 'number':
+      return typeof value === 'number' && !Number.isNaN(value) ? null : 'must be a number';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'array':
+      return Array.isArray(value) ? null : 'must be an array';
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    default:
+      return typeof value === 'string' ? null : 'must be a string';
+  }
+}
+
+// Problems with one value and, for objects and arrays, with everything inside it
+function checkValue(spec, value, at, errors) {
+  const problem = checkType(spec, value);
+  if (problem) {
+    errors.push(`${at} ${problem}`);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (spec.minimum !== undefined && value < spec.minimum) errors.push(`${at} must be >= ${spec.minimum}`);
+    if (spec.maximum !== undefined && value > spec.maximum) errors.push(`${at} must be <= ${spec.maximum}`);
+  }
+
+  // Untyped items can be anything
+  if (Array.isArray(value) && spec.items && (spec.items.type || spec.items.enum)) {
+    value.forEach((item, index) => checkValue(spec.items, item, `${at}[${index}]`, errors));
+  }
+
+  if (describeType(spec) === 'object') {
+    checkProperties(spec, value, `${at}.`, errors);
+  }
+}
+
+function checkProperties(schema, args, prefix, errors) {
+  const properties = schema.properties || {};
+
+  for (const name of schema.required || []) {
+    if (args[name] === undefined) {
+      errors.push(`${prefix}${name} is required`);
+    }
+  }
+
+  for (const [name, value] of Object.entries(args)) {
+    const spec = properties[name];
+
+    if (spec) {
+      checkValue(spec, value, prefix + name, errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push(`${prefix}${name} is not a known parameter`);
+    }
+  }
+}
+
+// Returns a list of human-readable problems; empty when the arguments are valid
+export function validateArguments(schema, args) {
+  if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+    return ['arguments must be a JSON object'];
+  }
+
+  const errors = [];
+  checkProperties(schema, args, '', errors);
+  return errors;
+}
+
+// Build one inquirer question per schema property
+export function buildArgumentPrompts(schema) {
+  const properties = schema.properties || {};
+  const required = new Set(schema.required || []);
+
+  return Object.entries(properties).map(([name, spec]) => {
+    const type = describeType(spec);
+    const isRequired = required.has(name);
+    const label = `${name}${isRequired ? '' : ' (optional)'}` +
+      (spec.description ? ` - ${spec.description}` : '') + ':';
+
+    if (type === 'enum') {
+      return {
+        type: 'list',
+        name,
+        message: label,
+        choices: [
+          ...(isRequired ? [] : [{ name: '(skip)', value: SKIP }]),
+          ...spec.enum.map(value => ({ name: String(value), value }))
+        ],
+        default: spec.default
+      };
+    }
+
+    // A yes/no question always has an answer, so optional flags get a list that can skip them
+    if (type === 'boolean' && !isRequired) {
+      return {
+        type: 'list',
+        name,
+        message: label,
+        choices: [
+          { name: '(skip)', value: SKIP },
+          { name: 'true', value: true },
+          { name: 'false', value: false }
+        ],
+        default: spec.default ?? SKIP
+      };
+    }
+
+    if (type === 'boolean') {
+      return {
+        type: 'confirm',
+        name,
+        message: label,
+        default: spec.default ?? false
+      };
+    }
+
+    const hint = type === 'array' ? ' [comma-separated or JSON]' : type === 'object' ? ' [JSON]' : '';
+
+    return {
+      type: 'input',
+      name,
+      message: label + hint,
+      default: spec.default !== undefined
+        ? (typeof spec.default === 'object' ? JSON.stringify(spec.default) : String(spec.default))
+        : undefined,
+      // inquirer runs filter first, so validate sees the coerced value
+      validate: (value) => {
+        if (value === undefined) {
+          return isRequired ? `${name} is required` : true;
+        }
+
+        const problem = checkType(spec, value);
+        return problem ? `${name} ${problem}` : true;
+      },
+      filter: (input) => {
+        try {
+          return coerceArgument(spec, input);
+        } catch {
+          // Leave it for validate to report
+          return input;
+        }
+      }
+    };
+  });
+}
+
+// Drop skipped optional answers so they aren't sent as undefined
+export function compactArguments(answers) {
+  return Object.fromEntries(
+    Object.entries(answers).filter(([, value]) => value !== undefined && value !== SKIP)
+  );
+}
+
+// Tool results are usually MCP content arrays; fall back to JSON for anything else
+export function toolResultText(result) {
+  if (Array.isArray(result)) {
+    return result
+      .map(item => (item && item.type === 'text' ? item.text : JSON.stringify(item, null, 2)))
+      .join('\n');
+  }
+
+  if (result && Array.isArray(result.content)) {
+    return toolResultText(result.content);
+  }
+
+  return typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+}
+
+// Weights for where a search term matched; name hits matter most
+const SEARCH_WEIGHTS = {
+  exactName: 100,
+  name: 40,
+  parameter: 15,
+  description: 10
+};
+
+function getParameterNames(schema) {
+  return Object.keys(schema.properties || {});
+}
+
+export function scoreTool(tool, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const name = tool.name.toLowerCase();
+  const description = (tool.description || '').toLowerCase();
+  const parameters = getParameterNames(getToolSchema(tool)).map(param => param.toLowerCase());
+
+  let score = 0;
+  const matched = new Set();
+
+  for (const term of terms) {
+    let termScore = 0;
+
+    if (name === term) {
+      termScore += SEARCH_WEIGHTS.exactName;
+      matched.add('name');
+    } else if (name.includes(term)) {
+      termScore += SEARCH_WEIGHTS.name;
+      matched.add('name');
+    }
+
+    if (parameters.some(param => param.includes(term))) {
+      termScore += SEARCH_WEIGHTS.parameter;
+      matched.add('parameters');
+    }
+
+    if (description.includes(term)) {
+      termScore += SEARCH_WEIGHTS.description;
+      matched.add('description');
+    }
+
+    // Every term has to hit somewhere for the tool to count as a match
+    if (termScore === 0) {
+      return { score: 0, matched: [] };
+    }
+
+    score += termScore;
+  }
+
+  return { score, matched: [...matched] };
+}
+
+// entries: [{ server_id, tool }] gathered from every server
+export function searchTools(entries, query) {
+  return entries
+    .map(({ server_id, tool }) => ({ server_id, tool, ...scoreTool(tool, query) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.tool.name.localeCompare(b.tool.name));
+}
+
+function describeParameter(spec) {
+  const parts = [describeType(spec) === 'enum' ? 'enum' : describeType(spec)];
+
+  if (spec.enum) parts.push(`one of: ${spec.enum.join(', ')}`);
+  if (spec.default !== undefined) parts.push(`default: ${JSON.stringify(spec.default)}`);
+  if (spec.minimum !== undefined) parts.push(`min: ${spec.minimum}`);
+  if (spec.maximum !== undefined) parts.push(`max: ${spec.maximum}`);
+
+  return parts.join(', ');
+}
+
+// Render a schema as tree lines: { prefix, name, required, details, description }
+export function schemaTree(schema, prefix = '') {
+  const properties = Object.entries(schema.properties || {});
+  const required = new Set(schema.required || []);
+  const lines = [];
+
+  properties.forEach(([name, spec], index) => {
+    const last = index === properties.length - 1;
+
+    lines.push({
+      prefix: prefix + (last ? '└─ ' : '├─ '),
+      name,
+      required: required.has(name),
+      details: describeParameter(spec),
+      description: spec.description || ''
+    });
+
+    const childPrefix = prefix + (last ? '   ' : '│  ');
+
+    if (spec.type === 'object' && spec.properties) {
+      lines.push(...schemaTree(spec, childPrefix));
+    } else if (spec.type === 'array' && spec.items && spec.items.properties) {
+      lines.push(...schemaTree(spec.items, childPrefix));
+    }
+  });
+
+  return lines;
+}
+
+function exampleValue(name, spec) {
+  if (spec.default !== undefined) return spec.default;
+  if (spec.examples && spec.examples.length > 0) return spec.examples[0];
+  if (spec.enum) return spec.enum[0];
+
+  switch (describeType(spec)) {
+    case 'number':
+    case 'integer':
+      return spec.minimum ?? 1;
+    case 'boolean':
+      return true;
+    case 'array':
+      return [exampleValue(name, spec.items || {})];
+    case 'object':
+      return exampleArguments(spec, { includeOptional: false });
+    default:
+      return `<${name}>`;
+  }
+}
+
+export function exampleArguments(schema, { includeOptional = false } = {}) {
+  const required = new Set(schema.required || []);
+
+  return Object.fromEntries(
+    Object.entries(schema.properties || {})
+      .filter(([name]) => includeOptional || required.has(name))
+      .map(([name, spec]) => [name, exampleValue(name, spec)])
+  );
+}
+
+// A minimal invocation, plus one with every optional argument when that differs
+export function toolExamples(schema) {
+  const examples = [exampleArguments(schema)];
+  const full = exampleArguments(schema, { includeOptional: true });
+
+  if (JSON.stringify(full) !== JSON.stringify(examples[0])) {
+    examples.push(full);
+  }
+
+  return examples;
+}
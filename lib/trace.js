@@ -0,0 +1,248 @@
+import fs from 'fs';
+
+import { redact } from './logger.js';
+import { theme } from './theme.js';
+import { formatDuration, truncate } from './utils.js';
+
+// Frames that make up a query's trace
+export const TRACE_FRAMES = ['thinking', 'tool_call', 'tool_call_result'];
+
+// Thinking frames without an agent come from the Brain itself
+export const DEFAULT_AGENT = 'brain';
+
+// Steps take seconds, so keep a decimal below a minute
+export function formatTraceDuration(ms) {
+  if (ms === null) return 'running';
+  if (ms < 1000 || ms >= 60000) return formatDuration(ms);
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function elapsed(startedAt, finishedAt) {
+  return finishedAt === null ? null : finishedAt - startedAt;
+}
+
+// Thinking and tool-call frames of one query, grouped as agent → step → tool call → result
+export class QueryTrace {
+  constructor(query, { now = Date.now } = {}) {
+    this.query = query;
+    this.now = now;
+    this.startedAt = now();
+    this.finishedAt = null;
+    this.error = null;
+    this.agents = [];
+    this.calls = new Map();
+  }
+
+  agent(name = DEFAULT_AGENT) {
+    let agent = this.agents.find(item => item.name === name);
+
+    if (!agent) {
+      agent = { name, steps: [] };
+      this.agents.push(agent);
+    }
+
+    return agent;
+  }
+
+  record(type, data, at = this.now()) {
+    switch (type) {
+      case 'thinking':
+        return this.addStep(data, at);
+      case 'tool_call':
+        return this.addCall(data, at);
+      case 'tool_call_result':
+        return this.addResult(data, at);
+      default:
+        return null;
+    }
+  }
+
+  // A step lasts until the same agent starts its next one, or the query ends
+  addStep(data, at) {
+    const agent = this.agent(data.agent);
+    this.closeSteps(agent, at);
+
+    const step = { id: data.step_id ?? null, message: data.message, startedAt: at, finishedAt: null, calls: [] };
+    agent.steps.push(step);
+    return step;
+  }
+
+  // Tool calls belong to the step they name, or else to their agent's latest step
+  addCall(data, at) {
+    const agent = this.agent(data.agent);
+    let step = data.step_id !== undefined
+      ? agent.steps.find(item => item.id === data.step_id)
+      : agent.steps.at(-1);
+
+    if (!step) {
+      step = this.addStep({ agent: agent.name, step_id: data.step_id, message: `Calling ${data.tool_name}` }, at);
+    }
+
+    const call = {
+      id: data.call_id ?? null,
+      serverId: data.server_id ?? null,
+      toolName: data.tool_name,
+      arguments: data.arguments ?? {},
+      startedAt: at,
+      finishedAt: null,
+      isError: false,
+      result: null
+    };
+
+    step.calls.push(call);
+    if (call.id !== null) {
+      this.calls.set(String(call.id), call);
+    }
+    return call;
+  }
+
+  addResult(data, at) {
+    const call = this.calls.get(String(data.call_id));
+    if (!call) return null;
+
+    call.finishedAt = at;
+    call.isError = Boolean(data.is_error);
+    call.result = data.result ?? null;
+    return call;
+  }
+
+  closeSteps(agent, at) {
+    for (const step of agent.steps) {
+      if (step.finishedAt === null) {
+        step.finishedAt = at;
+      }
+    }
+  }
+
+  finish({ error = null } = {}, at = this.now()) {
+    this.finishedAt = at;
+    this.error = error ? error.message : null;
+    this.agents.forEach(agent => this.closeSteps(agent, at));
+    return this;
+  }
+
+  get empty() {
+    return this.agents.length === 0;
+  }
+
+  summary() {
+    const steps = this.agents.flatMap(agent => agent.steps);
+    const calls = steps.flatMap(step => step.calls);
+
+    return {
+      agents: this.agents.length,
+      steps: steps.length,
+      toolCalls: calls.length,
+      failedToolCalls: calls.filter(call => call.isError).length,
+      duration: elapsed(this.startedAt, this.finishedAt)
+    };
+  }
+
+  // Times are milliseconds from the start of the query, so traces compare across runs.
+  // Tool arguments and results are scrubbed like log lines, since trace files get shared
+  toJSON() {
+    const offset = (at) => at - this.startedAt;
+    const { agents, steps, toolCalls, failedToolCalls } = this.summary();
+
+    return {
+      type: 'query_trace',
+      query: this.query,
+      started_at: new Date(this.startedAt).toISOString(),
+      duration_ms: elapsed(this.startedAt, this.finishedAt),
+      error: this.error,
+      summary: { agents, steps, tool_calls: toolCalls, failed_tool_calls: failedToolCalls },
+      agents: this.agents.map(agent => ({
+        name: agent.name,
+        started_ms: agent.steps.length > 0 ? offset(agent.steps[0].startedAt) : null,
+        duration_ms: agentDuration(agent),
+        steps: agent.steps.map(step => ({
+          id: step.id,
+          message: step.message,
+          started_ms: offset(step.startedAt),
+          duration_ms: elapsed(step.startedAt, step.finishedAt),
+          tool_calls: step.calls.map(call => ({
+            id: call.id,
+            server_id: call.serverId,
+            tool_name: call.toolName,
+            arguments: redact(call.arguments),
+            started_ms: offset(call.startedAt),
+            duration_ms: elapsed(call.startedAt, call.finishedAt),
+            is_error: call.isError,
+            result: redact(call.result)
+          }))
+        }))
+      }))
+    };
+  }
+}
+
+export function saveTrace(filePath, trace) {
+  try {
+    fs.writeFileSync(filePath, JSON.stringify(trace, null, 2) + '\n');
+  } catch (error) {
+    throw new Error(`Cannot write trace ${filePath}: ${error.message}`);
+  }
+}
+
+function agentDuration(agent) {
+  const first = agent.steps[0];
+  const last = agent.steps.at(-1);
+  return first ? elapsed(first.startedAt, last.finishedAt) : null;
+}
+
+export function toolCallName(call) {
+  return call.serverId ? `${call.serverId}/${call.toolName}` : call.toolName;
+}
+
+function callStatus(call) {
+  if (call.finishedAt === null) return theme.warning('no result');
+  return call.isError ? theme.error(`${theme.icon('error')}failed`) : theme.success(theme.icon('success').trim());
+}
+
+// The whole trace as a tree, for the summary printed after the response
+export function renderTrace(trace) {
+  const { agents, steps, toolCalls, failedToolCalls, duration } = trace.summary();
+  const counts = [plural(agents, 'agent'), plural(steps, 'step'), plural(toolCalls, 'tool call')];
+
+  if (failedToolCalls > 0) {
+    counts.push(`${failedToolCalls} failed`);
+  }
+
+  const lines = [
+    theme.primary(`${theme.icon('trace')}Trace`) + theme.muted(` · ${counts.join(' · ')} · ${formatTraceDuration(duration)}`)
+  ];
+  const branch = (last) => (last ? '└─ ' : '├─ ');
+  const indent = (last) => (last ? '   ' : '│  ');
+
+  trace.agents.forEach((agent, agentIndex) => {
+    const lastAgent = agentIndex === trace.agents.length - 1;
+    lines.push(theme.muted(branch(lastAgent)) + theme.accent(agent.name) + theme.muted(` (${formatTraceDuration(agentDuration(agent))})`));
+
+    agent.steps.forEach((step, stepIndex) => {
+      const lastStep = stepIndex === agent.steps.length - 1;
+      const prefix = indent(lastAgent);
+
+      lines.push(
+        theme.muted(prefix + branch(lastStep)) + theme.text(truncate(step.message, 70)) +
+        theme.muted(` (${formatTraceDuration(elapsed(step.startedAt, step.finishedAt))})`)
+      );
+
+      step.calls.forEach((call, callIndex) => {
+        const lastCall = callIndex === step.calls.length - 1;
+
+        lines.push(
+          theme.muted(prefix + indent(lastStep) + branch(lastCall)) +
+          theme.accent(theme.icon('tool') + toolCallName(call)) +
+          theme.muted(` (${formatTraceDuration(elapsed(call.startedAt, call.finishedAt))}) `) +
+          callStatus(call)
+        );
+      });
+    });
+  });
+
+  return lines.join('\n');
+}
@@ -1,23 +1,23 @@
-import chalk from 'chalk';
 import boxen from 'boxen';
-import gradient from 'gradient-string';
+
+import { theme } from './theme.js';
 
 export function showWelcome() {
   console.log(boxen(
-    gradient.morning('🧠 Welcome to Brain CLI!\n\n') +
-    chalk.blue('A beautiful command-line interface for the Brain multi-agent system.\n\n') +
-    chalk.white('Quick Start:\n') +
-    chalk.gray('  brain interactive          Start interactive mode\n') +
-    chalk.gray('  brain connect               Connect to Brain server\n') +
-    chalk.gray('  brain query "question"      Ask the Brain\n') +
-    chalk.gray('  brain server list           List connected servers\n') +
-    chalk.gray('  brain --help                Show all commands\n\n') +
-    chalk.yellow('💡 Tip: Use "brain interactive" for the best experience!'),
+    theme.gradient(theme.icon('brain') + 'Welcome to Brain CLI!\n\n') +
+    theme.primary('A beautiful command-line interface for the Brain multi-agent system.\n\n') +
+    theme.text('Quick Start:\n') +
+    theme.muted('  brain interactive          Start interactive mode\n') +
+    theme.muted('  brain connect               Connect to Brain server\n') +
+    theme.muted('  brain query "question"      Ask the Brain\n') +
+    theme.muted('  brain server list           List connected servers\n') +
+    theme.muted('  brain --help                Show all commands\n\n') +
+    theme.warning(theme.icon('tip') + 'Tip: Use "brain interactive" for the best experience!'),
     {
       padding: 1,
       margin: 1,
       borderStyle: 'double',
-      borderColor: 'cyan',
+      borderColor: theme.borderColor('accent'),
       textAlignment: 'center'
     }
   ));
@@ -25,15 +25,15 @@ export function showWelcome() {
 
 export function handleError(context, error) {
   console.error(boxen(
-    chalk.red('💥 Error\n\n') +
-    chalk.yellow('Context: ') + chalk.white(context) + '\n' +
-    chalk.yellow('Message: ') + chalk.white(error.message || error) + '\n\n' +
-    chalk.gray('💡 Tip: Check your connection and try again'),
+    theme.error(theme.icon('fatal') + 'Error\n\n') +
+    theme.warning('Context: ') + theme.text(context) + '\n' +
+    theme.warning('Message: ') + theme.text(error.message || error) + '\n\n' +
+    theme.muted(theme.icon('tip') + 'Tip: Check your connection and try again'),
     {
       padding: 1,
       margin: 1,
       borderStyle: 'round',
-      borderColor: 'red'
+      borderColor: theme.borderColor('error')
     }
   ));
 }
@@ -41,14 +41,14 @@ export function handleError(context, error) {
 export function formatServerConfig(config) {
   if (typeof config === 'string') {
     if (config.startsWith('http://') || config.startsWith('https://')) {
-      return chalk.blue('🌐 Remote: ') + chalk.cyan(config);
+      return theme.primary(theme.icon('remote') + 'Remote: ') + theme.accent(config);
     } else {
-      return chalk.green('📁 Local: ') + chalk.cyan(config);
+      return theme.success(theme.icon('local') + 'Local: ') + theme.accent(config);
     }
   } else if (typeof config === 'object') {
-    return chalk.yellow('⚙️  Custom: ') + chalk.cyan(JSON.stringify(config, null, 2));
+    return theme.warning(theme.icon('settings') + 'Custom: ') + theme.accent(JSON.stringify(config, null, 2));
   }
-  return chalk.gray('Unknown configuration');
+  return theme.muted('Unknown configuration');
 }
 
 export function createLoadingSpinner(text) {
@@ -56,7 +56,7 @@ export function createLoadingSpinner(text) {
   let i = 0;
   
   return setInterval(() => {
-    process.stdout.write(`\r${chalk.cyan(frames[i])} ${text}`);
+    process.stdout.write(`\r${theme.accent(frames[i])} ${text}`);
     i = (i + 1) % frames.length;
   }, 100);
 }
@@ -67,7 +67,27 @@ export function stopLoadingSpinner(spinner) {
 }
 
 export function formatTimestamp(date = new Date()) {
-  return chalk.gray(`[${date.toLocaleTimeString()}]`);
+  return theme.muted(`[${date.toLocaleTimeString()}]`);
+}
+
+// Compact human duration: 850ms, 42s, 5m 3s, 2h 10m, 3d 4h
+export function formatDuration(ms) {
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+
+  const seconds = Math.floor(ms / 1000);
+  const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+  const parts = [];
+  let rest = seconds;
+
+  for (const [unit, size] of units) {
+    if (rest >= size || (parts.length > 0 && parts.length < 2)) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+    if (parts.length === 2) break;
+  }
+
+  return parts.join(' ');
 }
 
 export function validateWebSocketUrl(url) {
@@ -82,15 +102,15 @@ export function validateWebSocketUrl(url) {
 export function createStatusBadge(status) {
   switch (status.toLowerCase()) {
     case 'connected':
-      return chalk.green('● Connected');
+      return theme.success('● Connected');
     case 'disconnected':
-      return chalk.red('● Disconnected');
+      return theme.error('● Disconnected');
     case 'connecting':
-      return chalk.yellow('● Connecting');
+      return theme.warning('● Connecting');
     case 'error':
-      return chalk.red('● Error');
+      return theme.error('● Error');
     default:
-      return chalk.gray('● Unknown');
+      return theme.muted('● Unknown');
   }
 }
 
@@ -101,7 +121,7 @@ export function createProgressBar(total, current, width = 30) {
   
   const bar = '█'.repeat(filled) + '░'.repeat(empty);
   
-  return `${chalk.cyan(bar)} ${chalk.white(percentage)}% (${current}/${total})`;
+  return `${theme.accent(bar)} ${theme.text(percentage)}% (${current}/${total})`;
 }
 
 export function truncate(text, maxLength = 50) {
@@ -109,23 +129,13 @@ export function truncate(text, maxLength = 50) {
   return text.substring(0, maxLength - 3) + '...';
 }
 
-export function createHeader(text, gradient_type = 'rainbow') {
-  const gradients = {
-    rainbow: gradient.retro.rainbow,
-    pastel: gradient.pastel,
-    morning: gradient.morning,
-    night: gradient.night,
-    fruit: gradient.fruit
-  };
-  
-  const selectedGradient = gradients[gradient_type] || gradient.rainbow;
-  
+export function createHeader(text) {
   return boxen(
-    selectedGradient(text),
+    theme.gradient(text),
     {
       padding: 1,
       borderStyle: 'double',
-      borderColor: 'cyan',
+      borderColor: theme.borderColor('accent'),
       textAlignment: 'center'
     }
   );
@@ -149,28 +159,28 @@ export function validateServerId(id) {
 
 export function createNotification(type, title, message) {
   const icons = {
-    success: '✅',
-    error: '❌',
-    warning: '⚠️',
-    info: 'ℹ️'
+    success: theme.icon('success'),
+    error: theme.icon('error'),
+    warning: theme.icon('warning'),
+    info: theme.icon('info')
   };
   
-  const colors = {
-    success: chalk.green,
-    error: chalk.red,
-    warning: chalk.yellow,
-    info: chalk.blue
+  const roles = {
+    success: 'success',
+    error: 'error',
+    warning: 'warning',
+    info: 'primary'
   };
   
   const icon = icons[type] || icons.info;
-  const color = colors[type] || colors.info;
+  const role = roles[type] || roles.info;
   
   return boxen(
-    `${icon} ${color(title)}\n\n${chalk.white(message)}`,
+    `${icon}${theme[role](title)}\n\n${theme.text(message)}`,
     {
       padding: 1,
       borderStyle: 'round',
-      borderColor: type === 'success' ? 'green' : type === 'error' ? 'red' : type === 'warning' ? 'yellow' : 'blue'
+      borderColor: theme.borderColor(role)
     }
   );
 }
@@ -0,0 +1,208 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+
+import {
+  ToolApprovals,
+  allowToolAlways,
+  parseApprovalAnswer,
+  readToolPolicy,
+  resolveToolAction
+} from '../lib/approvals.js';
+import { BrainClient } from '../lib/brain-client.js';
+import { CONFIG_KEYS, resolveConfig, setConfigValue } from '../lib/config.js';
+import { MockBrainServer } from '../lib/mock-server.js';
+import { SILENT_OUTPUT } from '../lib/output.js';
+
+const config = Object.fromEntries(
+  Object.entries(CONFIG_KEYS).map(([key, spec]) => [key, spec.default])
+);
+
+const POLICY = {
+  default: 'ask',
+  servers: {
+    math: 'allow',
+    files: { default: 'ask', tools: { read_file: 'allow', delete_file: 'deny' } }
+  }
+};
+
+const deleteRequest = { approval_id: 'a1', server_id: 'files', tool_name: 'delete_file', arguments: { path: 'x' } };
+const writeRequest = { approval_id: 'a2', server_id: 'files', tool_name: 'write_file', arguments: { path: 'x' } };
+
+let dir;
+let policyPath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brain-approvals-'));
+  policyPath = path.join(dir, 'tool-policy.json');
+  fs.writeFileSync(policyPath, JSON.stringify(POLICY));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('tool policy', () => {
+  test('the most specific rule wins', () => {
+    expect(resolveToolAction(POLICY, 'math', 'add')).toBe('allow');
+    expect(resolveToolAction(POLICY, 'files', 'read_file')).toBe('allow');
+    expect(resolveToolAction(POLICY, 'files', 'delete_file')).toBe('deny');
+    expect(resolveToolAction(POLICY, 'files', 'write_file')).toBe('ask');
+    expect(resolveToolAction({ default: 'deny' }, 'search', 'query')).toBe('deny');
+  });
+
+  test('a missing file asks about everything, a broken one is refused', () => {
+    expect(readToolPolicy(path.join(dir, 'none.json'))).toEqual({ default: 'ask', servers: {} });
+
+    fs.writeFileSync(policyPath, JSON.stringify({ servers: { files: { tools: { delete_file: 'never' } } } }));
+    expect(() => readToolPolicy(policyPath)).toThrow(
+      'servers.files.tools.delete_file must be one of allow, deny, ask, got "never"'
+    );
+  });
+
+  test('always allowing a tool keeps the rest of its server\'s rules', () => {
+    fs.writeFileSync(policyPath, JSON.stringify({ servers: { files: 'ask' } }));
+    allowToolAlways(policyPath, 'files', 'write_file');
+
+    const policy = readToolPolicy(policyPath);
+    expect(policy.servers.files).toEqual({ default: 'ask', tools: { write_file: 'allow' } });
+    expect(resolveToolAction(policy, 'files', 'delete_file')).toBe('ask');
+  });
+
+  test('a project .brainrc.json cannot pick the policy file or TLS files', () => {
+    const saved = process.env.XDG_CONFIG_HOME;
+    process.env.XDG_CONFIG_HOME = path.join(dir, 'config');
+    fs.writeFileSync(path.join(dir, '.brainrc.json'), JSON.stringify({
+      toolPolicy: 'allow-all.json',
+      caFile: 'evil-ca.pem',
+      clientCert: 'cert.pem',
+      clientKey: 'key.pem',
+      colorTheme: 'ocean'
+    }));
+
+    try {
+      const { values, sources, ignored } = resolveConfig({}, { cwd: dir, env: {} });
+      expect(values).toMatchObject({ toolPolicy: '', caFile: '', clientCert: '', clientKey: '', colorTheme: 'ocean' });
+      expect(sources.toolPolicy).toBe('default');
+      expect(sources.caFile).toBe('default');
+      expect(ignored).toEqual(['toolPolicy', 'caFile', 'clientCert', 'clientKey']);
+
+      // The environment is the user's own, so it still counts
+      expect(resolveConfig({}, { cwd: dir, env: { CLI_TOOL_POLICY: policyPath } }).values.toolPolicy).toBe(policyPath);
+      expect(() => setConfigValue('toolPolicy', 'allow-all.json', { project: true, cwd: dir })).toThrow(
+        'toolPolicy can only be set in the user config file, not .brainrc.json'
+      );
+      expect(() => setConfigValue('clientKey', 'key.pem', { project: true, cwd: dir })).toThrow(
+        'clientKey can only be set in the user config file, not .brainrc.json'
+      );
+    } finally {
+      if (saved === undefined) delete process.env.XDG_CONFIG_HOME; else process.env.XDG_CONFIG_HOME = saved;
+    }
+  });
+
+  test('typed answers', () => {
+    expect(['y', 'YES', 'a', '', 'n', 'maybe'].map(parseApprovalAnswer)).toEqual(['once', 'once', 'always', 'deny', 'deny', null]);
+  });
+});
+
+describe('ToolApprovals', () => {
+  test('policy rules decide without asking', async () => {
+    const asked = [];
+    const approvals = new ToolApprovals({ policyPath, prompt: async (request) => asked.push(request) && 'once' });
+
+    expect(await approvals.decide(deleteRequest)).toEqual({ approved: false, reason: 'Denied by policy' });
+    expect(await approvals.decide({ ...deleteRequest, server_id: 'math', tool_name: 'add' })).toEqual({ approved: true, reason: 'Allowed by policy' });
+    expect(asked).toEqual([]);
+  });
+
+  test('--approve-policy answers what the policy would ask, and nobody to ask means no', async () => {
+    expect(await new ToolApprovals({ policyPath, answer: 'allow' }).decide(writeRequest)).toMatchObject({ approved: true });
+    expect(await new ToolApprovals({ policyPath, answer: 'allow' }).decide(deleteRequest)).toMatchObject({ approved: false });
+    expect(await new ToolApprovals({ policyPath }).decide(writeRequest)).toMatchObject({ approved: false });
+    expect(await new ToolApprovals({ policyPath, prompt: async () => 'once' }).decide(writeRequest, { canAsk: false })).toMatchObject({ approved: false });
+  });
+
+  test('asks one request at a time and saves "always"', async () => {
+    const asked = [];
+    const approvals = new ToolApprovals({
+      policyPath,
+      prompt: async (request) => {
+        asked.push(request.approval_id);
+        return 'always';
+      }
+    });
+
+    const decisions = await Promise.all([approvals.decide(writeRequest), approvals.decide({ ...writeRequest, approval_id: 'a3' })]);
+
+    // The first answer became a rule, so the second request never reached the prompt
+    expect(asked).toEqual(['a2']);
+    expect(decisions.map(decision => decision.reason)).toEqual([`Always allowed, saved to ${policyPath}`, 'Allowed by policy']);
+  });
+});
+
+describe('approval requests from the Brain', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = new MockBrainServer({ port: 0 });
+    await server.start();
+  });
+
+  afterEach(async () => {
+    await client.disconnect();
+    await server.stop();
+  });
+
+  async function connect(approvals) {
+    client = new BrainClient({ config, output: SILENT_OUTPUT, reconnectAttempts: 0, approvals });
+    await client.connect(server.url, 2000);
+  }
+
+  test('runs the tool once allowed', async () => {
+    await connect(new ToolApprovals({ policyPath, answer: 'allow' }));
+    fs.writeFileSync(policyPath, JSON.stringify({ servers: { files: 'ask' } }));
+
+    const seen = [];
+    client.on('message', (message) => seen.push(message.type));
+
+    expect(await client.sendQuery('clean up')).toBe('Tidied up the reports.');
+    expect(seen).toEqual(['status', 'thinking', 'tool_call', 'tool_approval_request', 'tool_call_result', 'query_response']);
+    expect(server.received.at(-1)).toMatchObject({ command: 'approve_tool', approval_id: 'approve-call-1', approved: true });
+  });
+
+  test('asks each client by what it said in its own hello', async () => {
+    await connect(new ToolApprovals({ policyPath, answer: 'allow' }));
+    fs.writeFileSync(policyPath, JSON.stringify({ servers: { files: 'ask' } }));
+
+    // A second client without approvals connects later; the first one must still be asked
+    const other = new WebSocket(server.url);
+    await new Promise((resolve) => other.once('open', resolve));
+    other.send(JSON.stringify({ command: 'hello', request_id: 'x', protocol_version: '1.0', capabilities: [] }));
+    await new Promise((resolve) => other.once('message', resolve));
+
+    try {
+      const asked = new Promise((resolve) => client.once('tool_approval', resolve));
+      await client.sendQuery('clean up');
+      expect(await asked).toMatchObject({ tool_name: 'delete_file', approved: true });
+    } finally {
+      other.terminate();
+    }
+  });
+
+  test('reports a denied call as a failed one', async () => {
+    await connect(new ToolApprovals({ policyPath }));
+
+    const results = [];
+    client.on('message', (message) => {
+      if (message.type === 'tool_call_result') results.push(message);
+    });
+    const decision = new Promise((resolve) => client.once('tool_approval', resolve));
+
+    await client.sendQuery('clean up');
+
+    expect(await decision).toMatchObject({ tool_name: 'delete_file', approved: false, reason: 'Denied by policy' });
+    expect(results).toMatchObject([{ is_error: true, result: 'Denied by policy' }]);
+  });
+});
@@ -0,0 +1,196 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { WebSocketServer } from 'ws';
+
+import {
+  authHeaders,
+  getCredentialsPath,
+  loadToken,
+  removeToken,
+  saveToken,
+  tlsOptions,
+  upgradeError
+} from '../lib/auth.js';
+import { BrainClient } from '../lib/brain-client.js';
+import { CONFIG_KEYS, setConfigValue } from '../lib/config.js';
+import { MockBrainServer } from '../lib/mock-server.js';
+import { SILENT_OUTPUT } from '../lib/output.js';
+
+const config = Object.fromEntries(
+  Object.entries(CONFIG_KEYS).map(([key, spec]) => [key, spec.default])
+);
+
+function createClient(options = {}) {
+  return new BrainClient({ config, output: SILENT_OUTPUT, reconnectAttempts: 0, ...options });
+}
+
+let home;
+const originalConfigHome = process.env.XDG_CONFIG_HOME;
+
+beforeEach(() => {
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'brain-auth-'));
+  process.env.XDG_CONFIG_HOME = home;
+});
+
+afterEach(() => {
+  process.env.XDG_CONFIG_HOME = originalConfigHome;
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+describe('saved tokens', () => {
+  test('are stored per Brain origin, readable by the owner only', () => {
+    saveToken('wss://brain.example/socket?x=1', 'abc');
+
+    expect(loadToken('wss://brain.example', {})).toBe('abc');
+    expect(loadToken('ws://localhost:3789', {})).toBeNull();
+    expect(fs.statSync(getCredentialsPath()).mode & 0o777).toBe(0o600);
+
+    expect(removeToken('wss://brain.example')).toBe(true);
+    expect(removeToken('wss://brain.example')).toBe(false);
+    expect(loadToken('wss://brain.example', {})).toBeNull();
+  });
+
+  test('BRAIN_TOKEN wins over the saved token', () => {
+    saveToken('ws://localhost:3789', 'saved');
+    expect(loadToken('ws://localhost:3789', { BRAIN_TOKEN: 'from-env' })).toBe('from-env');
+  });
+
+  test('reject URLs that are not WebSocket URLs', () => {
+    expect(() => saveToken('http://brain.example', 'abc')).toThrow('Invalid Brain URL "http://brain.example"');
+  });
+});
+
+test('authHeaders sends the token and API key', () => {
+  saveToken('ws://localhost:3789', 'saved');
+
+  expect(authHeaders('ws://localhost:3789', { env: { BRAIN_API_KEY: 'key' } })).toEqual({
+    Authorization: 'Bearer saved',
+    'X-API-Key': 'key'
+  });
+  expect(authHeaders('ws://localhost:3789', { token: 'explicit', env: {} })).toEqual({ Authorization: 'Bearer explicit' });
+});
+
+describe('env credentials', () => {
+  const env = { BRAIN_TOKEN: 'from-env', BRAIN_API_KEY: 'key' };
+
+  test('are not sent to a Brain the user did not configure', () => {
+    const warnings = [];
+    const headers = authHeaders('ws://evil.example:3789', { env, warn: (message) => warnings.push(message) });
+
+    expect(headers).toEqual({});
+    expect(loadToken('ws://evil.example:3789', env)).toBeNull();
+    expect(warnings).toEqual([
+      'Not sending BRAIN_TOKEN or BRAIN_API_KEY to ws://evil.example:3789; they only go to BRAIN_WS_URL or the url in the user config, so use "brain login" for this Brain'
+    ]);
+  });
+
+  test('go to BRAIN_WS_URL and the url in the user config', () => {
+    const expected = { Authorization: 'Bearer from-env', 'X-API-Key': 'key' };
+
+    expect(authHeaders('wss://brain.example/socket', { env: { ...env, BRAIN_WS_URL: 'wss://brain.example' } })).toEqual(expected);
+
+    setConfigValue('url', 'wss://team.example');
+    expect(authHeaders('wss://team.example', { env })).toEqual(expected);
+    // Same host, other scheme: a different origin
+    expect(authHeaders('ws://team.example', { env })).toEqual({});
+  });
+
+  test('a saved token for the URL still goes out', () => {
+    saveToken('ws://other.example', 'saved');
+    expect(authHeaders('ws://other.example', { env })).toEqual({ Authorization: 'Bearer saved' });
+  });
+});
+
+describe('tlsOptions', () => {
+  test('only applies to wss:// URLs', () => {
+    expect(tlsOptions('ws://localhost:3789', { caFile: '/nope.pem' })).toEqual({});
+  });
+
+  test('reads the CA bundle and client certificate', () => {
+    for (const name of ['ca.pem', 'cert.pem', 'key.pem']) {
+      fs.writeFileSync(path.join(home, name), name);
+    }
+
+    const options = tlsOptions('wss://brain.example', {
+      caFile: path.join(home, 'ca.pem'),
+      clientCert: path.join(home, 'cert.pem'),
+      clientKey: path.join(home, 'key.pem')
+    });
+
+    expect(String(options.ca)).toBe('ca.pem');
+    expect(String(options.cert)).toBe('cert.pem');
+    expect(String(options.key)).toBe('key.pem');
+  });
+
+  test('explains missing files and half-configured certificates', () => {
+    expect(() => tlsOptions('wss://brain.example', { caFile: '/nope.pem' })).toThrow('Cannot read CA bundle /nope.pem');
+    expect(() => tlsOptions('wss://brain.example', { clientCert: '/cert.pem' })).toThrow('needs both BRAIN_CLIENT_CERT and BRAIN_CLIENT_KEY');
+  });
+});
+
+test('upgradeError says what to do for each status', () => {
+  expect(upgradeError(401, 'Unauthorized', { authenticated: false }).message).toMatch('run "brain login" or set BRAIN_TOKEN');
+  expect(upgradeError(401, 'Unauthorized', { authenticated: true }).message).toMatch('rejected the token');
+  expect(upgradeError(502, 'Bad Gateway', { authenticated: true })).toMatchObject({
+    message: 'Brain server answered the WebSocket upgrade with HTTP 502 Bad Gateway',
+    code: 'UPGRADE_FAILED'
+  });
+});
+
+describe('connecting to a Brain that needs a token', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = new MockBrainServer({ port: 0, token: 's3cret' });
+    await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('fails clearly without a token', async () => {
+    const client = createClient();
+
+    await expect(client.connect(server.url, 2000)).rejects.toMatchObject({
+      code: 'AUTH_FAILED',
+      statusCode: 401,
+      message: expect.stringContaining('requires authentication')
+    });
+    expect(client.connected).toBe(false);
+  });
+
+  test('sends the saved token on the upgrade request', async () => {
+    saveToken(server.url, 's3cret');
+    const client = createClient();
+
+    try {
+      await client.connect(server.url, 2000);
+      expect(await client.fetchServers()).toHaveLength(2);
+    } finally {
+      await client.disconnect();
+    }
+  });
+
+  test('rejects a wrong token', async () => {
+    const client = createClient({ token: 'wrong' });
+    await expect(client.connect(server.url, 2000)).rejects.toThrow('rejected the token (401 Unauthorized)');
+  });
+});
+
+test('explains 403 upgrade rejections', async () => {
+  const wss = new WebSocketServer({ port: 0, host: '127.0.0.1', verifyClient: (info, done) => done(false, 403, 'Forbidden') });
+  await new Promise((resolve) => wss.once('listening', resolve));
+
+  try {
+    await expect(createClient({ token: 'abc' }).connect(`ws://127.0.0.1:${wss.address().port}`, 2000))
+      .rejects.toThrow('Brain server refused access (403 Forbidden)');
+  } finally {
+    await new Promise((resolve) => wss.close(resolve));
+  }
+});
+
+test('refuses URLs that are not WebSocket URLs', async () => {
+  await expect(createClient().connect('http://localhost:3789', 2000)).rejects.toThrow('expected a ws:// or wss:// URL');
+});
@@ -0,0 +1,76 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { detectBatchFormat, parseBatchInput, readCompletedIds, runBatch } from '../lib/batch.js';
+
+describe('parseBatchInput', () => {
+  test('numbers text queries by line and skips blank lines', () => {
+    expect(parseBatchInput('first\n\n  second  \n')).toEqual([
+      { id: '1', query: 'first' },
+      { id: '3', query: 'second' }
+    ]);
+  });
+
+  test('reads JSON lines as strings or objects with ids', () => {
+    expect(parseBatchInput('"plain"\n{"id": 7, "query": "with id", "tag": "x"}', 'jsonl')).toEqual([
+      { id: '1', query: 'plain' },
+      { id: '7', query: 'with id', tag: 'x' }
+    ]);
+  });
+
+  test('rejects bad JSON lines and duplicate ids', () => {
+    expect(() => parseBatchInput('{"query": 1}', 'jsonl')).toThrow('Line 1 has no "query"');
+    expect(() => parseBatchInput('{nope', 'jsonl')).toThrow('Line 1 is not valid JSON');
+    expect(() => parseBatchInput('{"id":"a","query":"x"}\n{"id":"a","query":"y"}', 'jsonl')).toThrow('Duplicate id "a"');
+  });
+
+  test('detects JSON lines by extension, or by content on stdin', () => {
+    expect(detectBatchFormat('questions.jsonl', '')).toBe('jsonl');
+    expect(detectBatchFormat('questions.txt', '{"query": "x"}')).toBe('text');
+    expect(detectBatchFormat('-', '\n{"query": "x"}')).toBe('jsonl');
+    expect(detectBatchFormat('-', 'just a question')).toBe('text');
+  });
+});
+
+describe('readCompletedIds', () => {
+  test('keeps ids whose latest result succeeded', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'brain-batch-')), 'results.jsonl');
+    fs.writeFileSync(file, [
+      '{"id":"1","response":"ok"}',
+      '{"id":"2","error":"boom"}',
+      '{"id":"3","error":"boom"}',
+      '{"id":"3","response":"retried"}',
+      '{"id":"4","resp'
+    ].join('\n'));
+
+    expect([...readCompletedIds(file)].sort()).toEqual(['1', '3']);
+    expect(readCompletedIds(path.join(path.dirname(file), 'missing.jsonl')).size).toBe(0);
+  });
+});
+
+describe('runBatch', () => {
+  test('bounds the queries in flight and records errors', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const client = {
+      async sendQuery(query) {
+        peak = Math.max(peak, ++inFlight);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        inFlight--;
+        if (query === 'bad') throw new Error('nope');
+        return query.toUpperCase();
+      }
+    };
+    const items = ['a', 'b', 'bad', 'c', 'd'].map((query, index) => ({ id: String(index), query }));
+    const seen = [];
+
+    const results = await runBatch(client, items, { concurrency: 2, onResult: result => seen.push(result.id) });
+
+    expect(peak).toBe(2);
+    expect(seen).toHaveLength(5);
+    expect(results.find(result => result.id === '2')).toMatchObject({ query: 'bad', error: 'nope' });
+    expect(results.find(result => result.id === '0')).toMatchObject({ response: 'A' });
+    expect(results.every(result => typeof result.latency_ms === 'number')).toBe(true);
+  });
+});
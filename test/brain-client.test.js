@@ -0,0 +1,309 @@
+import { BrainClient } from '../lib/brain-client.js';
+import { CONFIG_KEYS } from '../lib/config.js';
+import { MockBrainServer } from '../lib/mock-server.js';
+import { SILENT_OUTPUT } from '../lib/output.js';
+import { sleep } from '../lib/utils.js';
+
+const config = Object.fromEntries(
+  Object.entries(CONFIG_KEYS).map(([key, spec]) => [key, spec.default])
+);
+
+function createClient() {
+  return new BrainClient({ config, output: SILENT_OUTPUT, reconnectAttempts: 0 });
+}
+
+describe('BrainClient against the mock server', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = new MockBrainServer({ port: 0 });
+    await server.start();
+    client = createClient();
+    await client.connect(server.url, 2000);
+  });
+
+  afterEach(async () => {
+    await client.disconnect();
+    await server.stop();
+  });
+
+  test('lists servers and their tools', async () => {
+    const servers = await client.fetchServers();
+    expect(servers.map(item => item.id)).toEqual(['math', 'files']);
+    expect(servers[0]).toMatchObject({ id: 'math', status: 'connected', tools_count: 1, errors: [] });
+
+    const tools = await client.fetchTools('math');
+    expect(tools.map(tool => tool.name)).toEqual(['add']);
+  });
+
+  test('rejects with the error frame for unknown servers', async () => {
+    await expect(client.fetchTools('nope')).rejects.toThrow('Server not found: nope');
+  });
+
+  test('connects and disconnects servers', async () => {
+    const { server: connected } = await client.connectServer('search', { command: 'node', args: ['search.js'] });
+    expect(connected).toMatchObject({ id: 'search', status: 'connected', tools_count: 0 });
+    expect(server.servers.search.config).toEqual({ command: 'node', args: ['search.js'] });
+
+    const { server_id } = await client.disconnectServer('search');
+    expect(server_id).toBe('search');
+    expect((await client.fetchServers()).map(item => item.id)).not.toContain('search');
+  });
+
+  test('calls tools, echoing arguments unless a result is scripted', async () => {
+    expect(await client.callTool('math', 'add', { a: 1, b: 2 })).toEqual([{ type: 'text', text: '{"a":1,"b":2}' }]);
+
+    server.toolResults['math/add'] = { result: [{ type: 'text', text: 'boom' }], is_error: true };
+    await expect(client.callTool('math', 'add', { a: 1, b: 2 })).rejects.toThrow('boom');
+  });
+
+  test('answers scripted queries and reports thinking', async () => {
+    const seen = [];
+    client.on('message', (message) => seen.push(message.type));
+
+    expect(await client.sendQuery('What is the weather?')).toBe('Sunny with a light breeze.');
+    expect(seen).toEqual(['status', 'thinking', 'query_response']);
+
+    expect(await client.sendQuery('Anything else')).toBe('This is a mock Brain response.');
+  });
+
+  test('streams query responses in chunks', async () => {
+    const chunks = [];
+    client.on('message', (message) => {
+      if (message.type === 'query_chunk') chunks.push(message.chunk);
+    });
+
+    expect(await client.sendQuery('weather today', { stream: true })).toBe('Sunny with a light breeze.');
+    expect(chunks).toEqual(['Sunny ', 'with ', 'a ', 'light ', 'breeze.']);
+  });
+
+  test('sends the conversation id with queries', async () => {
+    await client.sendQuery('hello', { conversationId: 'abc' });
+    expect(server.received.at(-1)).toMatchObject({ command: 'query', query: 'hello', conversation_id: 'abc' });
+  });
+
+  test('surfaces simulated failures', async () => {
+    server.failures.get_servers = 'Brain is busy';
+    await expect(client.fetchServers()).rejects.toThrow('Brain is busy');
+
+    server.failures.list_tools = '';
+    await expect(client.fetchTools('math')).rejects.toThrow('Simulated list_tools failure');
+  });
+
+  test('waits out simulated latency', async () => {
+    server.latency = 100;
+    const started = Date.now();
+
+    await client.fetchServers();
+    expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+  });
+
+  test('cancels a query through its signal and drops the late frames', async () => {
+    server.latency = 50;
+    server.queries.push({ match: 'slow', thinking: ['Step one', 'Step two'], response: 'Too late' });
+
+    const seen = [];
+    client.on('message', (message) => seen.push(message.type));
+
+    const controller = new AbortController();
+    const query = client.sendQuery('slow question', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(query).rejects.toMatchObject({ code: 'CANCELLED', message: 'Cancelled query' });
+    // The Brain still answers; none of it reaches listeners
+    await sleep(250);
+
+    expect(seen).toEqual([]);
+    expect(client.cancelledRequests.size).toBe(0);
+  });
+
+  test('negotiates the protocol version and capabilities', () => {
+    expect(client.protocol).toEqual({ version: '1.0', capabilities: ['streaming', 'tool_calls', 'conversations', 'tool_approval'] });
+    expect(server.received[0]).toMatchObject({ command: 'hello', protocol_version: '1.0' });
+  });
+
+  test('fails the request a malformed frame answers', async () => {
+    server.dispatch = async (command, message, reply) => {
+      reply({ type: 'servers_list', servers: { math: { id: 'math', tools_count: 'two' } } });
+    };
+
+    await expect(client.fetchServers()).rejects.toThrow(
+      'Malformed servers_list frame from Brain server: servers_list.servers.math.tools_count must be number, got string'
+    );
+  });
+
+  test('drops malformed events without crashing', async () => {
+    const invalid = new Promise((resolve) => client.once('invalid_frame', resolve));
+    server.broadcast({ type: 'thinking' });
+
+    expect((await invalid).problems).toEqual(['thinking.message is missing']);
+    expect(await client.fetchServers()).toHaveLength(2);
+  });
+
+  test('emits events the Brain sends on its own', async () => {
+    const event = new Promise((resolve) => client.once('message', resolve));
+    server.broadcast({ type: 'server_disconnected', server_id: 'math' });
+
+    expect(await event).toEqual({ type: 'server_disconnected', server_id: 'math' });
+  });
+});
+
+describe('protocol handshake', () => {
+  async function connectTo(options) {
+    const server = new MockBrainServer({ port: 0, ...options });
+    await server.start();
+    const client = createClient();
+    return { server, client };
+  }
+
+  test('turns off features the server does not advertise', async () => {
+    const { server, client } = await connectTo({ capabilities: ['conversations'] });
+
+    try {
+      await client.connect(server.url, 2000);
+
+      await client.sendQuery('weather', { stream: true });
+      expect(server.received.at(-1).stream).toBeUndefined();
+      await expect(client.callTool('math', 'add', { a: 1, b: 2 })).rejects.toThrow('does not support direct tool calls');
+    } finally {
+      await client.disconnect();
+      await server.stop();
+    }
+  });
+
+  test('assumes every feature on servers without a handshake', async () => {
+    const { server, client } = await connectTo({ protocolVersion: null });
+
+    try {
+      await client.connect(server.url, 2000);
+      expect(client.protocol.version).toBeNull();
+      expect(client.supports('streaming')).toBe(true);
+    } finally {
+      await client.disconnect();
+      await server.stop();
+    }
+  });
+
+  test('refuses servers on another major version', async () => {
+    const { server, client } = await connectTo({ protocolVersion: '2.0' });
+
+    try {
+      await expect(client.connect(server.url, 2000)).rejects.toThrow('Brain speaks protocol 2.0');
+      expect(client.connected).toBe(false);
+    } finally {
+      await client.disconnect();
+      await server.stop();
+    }
+  });
+});
+
+describe('MockBrainServer fixtures', () => {
+  test('uses the servers and answers it is given', async () => {
+    const server = new MockBrainServer({
+      port: 0,
+      fixtures: {
+        servers: { only: { tools: [] } },
+        queries: [{ match: 'fail', error: 'Model unavailable' }],
+        defaultResponse: 'custom'
+      }
+    });
+    await server.start();
+
+    const client = createClient();
+    await client.connect(server.url, 2000);
+
+    try {
+      expect(await client.fetchServers()).toMatchObject([{ id: 'only', status: 'connected', tools_count: 0 }]);
+      expect(await client.sendQuery('hi')).toBe('custom');
+      await expect(client.sendQuery('please fail')).rejects.toThrow('Model unavailable');
+    } finally {
+      await client.disconnect();
+      await server.stop();
+    }
+  });
+});
+
+describe('reconnecting', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = new MockBrainServer({ port: 0 });
+    await server.start();
+  });
+
+  afterEach(async () => {
+    await client.disconnect();
+    await server.stop();
+  });
+
+  // Resolves with every event of a type until another event ends the wait
+  function collect(type, until) {
+    const events = [];
+    client.on(type, (event) => events.push(event));
+    return new Promise((resolve) => client.once(until, (event) => resolve({ events, event })));
+  }
+
+  test('backs off twice as long each attempt, then rejects queued commands', async () => {
+    client = new BrainClient({ config, output: SILENT_OUTPUT, reconnectAttempts: 3, reconnectDelay: 20 });
+    await client.connect(server.url, 2000);
+
+    const done = collect('connecting', 'gave_up');
+    const firstAttempt = new Promise((resolve) => client.once('connecting', resolve));
+    await server.stop();
+    await firstAttempt;
+
+    const queued = client.fetchServers();
+    const { events, event } = await done;
+
+    expect(events).toEqual([
+      { attempt: 1, maxAttempts: 3, delay: 20 },
+      { attempt: 2, maxAttempts: 3, delay: 40 },
+      { attempt: 3, maxAttempts: 3, delay: 80 }
+    ]);
+    expect(event).toEqual({ attempts: 3 });
+    await expect(queued).rejects.toThrow('Gave up reconnecting to Brain server');
+    expect(client.offlineQueue).toEqual([]);
+  });
+
+  test('sends commands queued while offline once reconnected', async () => {
+    client = new BrainClient({ config, output: SILENT_OUTPUT, reconnectAttempts: 5, reconnectDelay: 50 });
+    await client.connect(server.url, 2000);
+    const { port } = server;
+
+    const reconnected = new Promise((resolve) => client.once('reconnected', resolve));
+    const firstAttempt = new Promise((resolve) => client.once('connecting', resolve));
+    await server.stop();
+    await firstAttempt;
+
+    const queued = client.fetchServers();
+    expect(client.offlineQueue).toHaveLength(1);
+
+    server = new MockBrainServer({ port });
+    await server.start();
+
+    await reconnected;
+    expect((await queued).map(item => item.id)).toEqual(['math', 'files']);
+    expect(server.received.map(message => message.command)).toEqual(['hello', 'get_servers']);
+    expect(client.offlineQueue).toEqual([]);
+  });
+
+  test('drops a half-open connection after a missed pong', async () => {
+    client = new BrainClient({ config, output: SILENT_OUTPUT, reconnectAttempts: 0, heartbeatInterval: 30 });
+    await client.connect(server.url, 2000);
+
+    const { latency } = await new Promise((resolve) => client.once('heartbeat', resolve));
+    expect(latency).toBeGreaterThanOrEqual(0);
+
+    // Pings that never leave get no pong, like a peer that went away without closing
+    const ws = client.ws;
+    ws.ping = () => {};
+    const closed = new Promise((resolve) => ws.once('close', resolve));
+    await new Promise((resolve) => client.once('gave_up', resolve));
+    await closed;
+
+    expect(client.connected).toBe(false);
+    expect(ws.readyState).toBe(ws.CLOSED);
+  });
+});
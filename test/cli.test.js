@@ -0,0 +1,205 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile, spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+import { MockBrainServer } from '../lib/mock-server.js';
+
+const BIN = fileURLToPath(new URL('../bin/brain.js', import.meta.url));
+
+let home;
+
+// Run the CLI in a child process; config and history go to a throwaway home
+function brain(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [BIN, ...args], {
+      env: {
+        ...process.env,
+        XDG_CONFIG_HOME: path.join(home, 'config'),
+        XDG_DATA_HOME: path.join(home, 'data'),
+        BRAIN_WS_URL: '',
+        NO_COLOR: '1'
+      },
+      cwd: home,
+      timeout: 10000
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+beforeAll(() => {
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'brain-cli-test-'));
+});
+
+afterAll(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+describe('brain CLI against the mock server', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = new MockBrainServer({ port: 0 });
+    await server.start();
+  });
+
+  afterAll(() => server.stop());
+
+  test('server list prints the servers as JSON', async () => {
+    const { code, stdout } = await brain(['server', 'list', '--url', server.url, '-o', 'json']);
+
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout).servers.map(item => item.id)).toEqual(['math', 'files']);
+  });
+
+  test('tools list prints one tool per line in plain mode', async () => {
+    const { code, stdout } = await brain(['tools', '--id', 'math', '--url', server.url, '-o', 'plain']);
+
+    expect(code).toBe(0);
+    expect(stdout).toBe('add\tAdd two numbers\n');
+  });
+
+  test('tools call validates and sends the arguments', async () => {
+    const { code, stdout } = await brain(['tools', 'call', 'add', '--id', 'math', '--args', '{"a":1,"b":2}', '--url', server.url, '-o', 'plain']);
+
+    expect(code).toBe(0);
+    expect(stdout).toBe('{"a":1,"b":2}\n');
+
+    const invalid = await brain(['tools', 'call', 'add', '--id', 'math', '--args', '{"a":1}', '--url', server.url, '-o', 'plain']);
+    expect(invalid.code).toBe(1);
+    expect(invalid.stderr).toContain('Invalid arguments for add');
+  });
+
+  test('query prints the response and its thinking', async () => {
+    const { code, stdout } = await brain(['query', 'weather please', '--no-history', '--url', server.url, '-o', 'json']);
+
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout)).toMatchObject({
+      type: 'query_response',
+      response: 'Sunny with a light breeze.',
+      thinking: ['Looking up the forecast']
+    });
+  });
+
+  test('--approve-policy answers tool approvals without a prompt', async () => {
+    const { code, stdout, stderr } = await brain(['query', 'clean up please', '--no-history', '--approve-policy', 'deny', '--url', server.url, '-o', 'plain']);
+
+    expect(code).toBe(0);
+    expect(stdout).toBe('Tidied up the reports.\n');
+    expect(stderr).toContain('approval: denied files/delete_file (Denied by --approve-policy)');
+    expect(stderr).toContain('tool failed: files/delete_file');
+
+    const missing = await brain(['query', 'clean up', '--approve-policy', 'nope.json', '--url', server.url, '-o', 'plain']);
+    expect(missing.code).toBe(1);
+    expect(missing.stderr).toContain('No such policy file: nope.json');
+  });
+
+  test('server apply plans against the servers the Brain reports', async () => {
+    const manifest = path.join(home, 'servers.json');
+    fs.writeFileSync(manifest, JSON.stringify({ mcpServers: { search: { command: 'node', args: ['search.js'] } } }));
+
+    const { code, stdout } = await brain(['server', 'apply', '-f', manifest, '--dry-run', '--prune', '--url', server.url, '-o', 'json']);
+
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout).actions.map(({ id, action }) => `${action} ${id}`)).toEqual([
+      'connect search',
+      'disconnect math',
+      'disconnect files'
+    ]);
+  });
+
+  test('server apply reconnects a server even when the disconnect fails', async () => {
+    const manifest = path.join(home, 'files.json');
+    const config = { command: 'node', args: ['files.js'] };
+    fs.writeFileSync(manifest, JSON.stringify({ mcpServers: { files: config } }));
+
+    server.servers.files.status = 'error';
+    server.failures.disconnect_server = 'Server is not running';
+
+    try {
+      const { code, stdout } = await brain(['server', 'apply', '-f', manifest, '--url', server.url, '-o', 'json']);
+
+      expect(code).toBe(0);
+      expect(JSON.parse(stdout).actions.find(step => step.id === 'files')).toMatchObject({
+        action: 'reconnect',
+        status: 'ok',
+        warning: 'disconnect failed: Server is not running'
+      });
+      expect(server.servers.files).toMatchObject({ status: 'connected', config: { ...config, transport: 'stdio' } });
+    } finally {
+      delete server.failures.disconnect_server;
+      server.servers.files.status = 'connected';
+    }
+  });
+
+  test('server apply rejects non-string env values', async () => {
+    const manifest = path.join(home, 'bad-env.json');
+    fs.writeFileSync(manifest, JSON.stringify({ mcpServers: { files: { command: 'node', env: { PORT: 3000 } } } }));
+
+    const { code, stderr } = await brain(['server', 'apply', '-f', manifest, '--url', server.url, '-o', 'plain']);
+
+    expect(code).toBe(1);
+    expect(stderr).toContain('files: "env" must be an object of strings');
+  });
+
+  test('command failures exit with 1', async () => {
+    server.failures.get_servers = 'Brain is busy';
+
+    try {
+      const { code, stderr } = await brain(['server', 'list', '--url', server.url, '-o', 'plain']);
+      expect(code).toBe(1);
+      expect(stderr).toContain('Brain is busy');
+    } finally {
+      delete server.failures.get_servers;
+    }
+  });
+
+  test('status --check fails when a server is unhealthy', async () => {
+    const healthy = await brain(['status', '--check', '--url', server.url, '-o', 'json']);
+    expect(healthy.code).toBe(0);
+    expect(JSON.parse(healthy.stdout)).toMatchObject({ type: 'system_status', healthy: true });
+
+    server.servers.files.status = 'error';
+
+    try {
+      const { code, stdout, stderr } = await brain(['status', '--check', '--url', server.url, '-o', 'json']);
+      expect(code).toBe(1);
+      expect(JSON.parse(stdout).healthy).toBe(false);
+      expect(stderr).toContain('Unhealthy servers: files');
+    } finally {
+      server.servers.files.status = 'connected';
+    }
+  });
+
+  test('an unreachable Brain exits with 2', async () => {
+    const { code } = await brain(['status', '--url', 'ws://127.0.0.1:1', '--timeout', '1000', '-o', 'plain']);
+    expect(code).toBe(2);
+  });
+});
+
+describe('brain mock-server', () => {
+  test('serves until it is stopped', async () => {
+    const child = spawn(process.execPath, [BIN, 'mock-server', '--port', '0', '-o', 'ndjson'], {
+      stdio: ['ignore', 'pipe', 'inherit']
+    });
+
+    try {
+      const line = await new Promise((resolve, reject) => {
+        child.stdout.once('data', (data) => resolve(data.toString()));
+        child.once('exit', (code) => reject(new Error(`mock-server exited with ${code}`)));
+      });
+      const { type, url } = JSON.parse(line);
+      expect(type).toBe('mock_server');
+
+      const { code, stdout } = await brain(['server', 'list', '--url', url, '-o', 'plain']);
+      expect(code).toBe(0);
+      expect(stdout).toContain('math\tconnected\t1');
+    } finally {
+      const exited = new Promise((resolve) => child.once('exit', resolve));
+      child.kill('SIGTERM');
+      expect(await exited).toBe(0);
+    }
+  });
+});
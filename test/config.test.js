@@ -0,0 +1,128 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  coerceValue,
+  getProjectConfigPath,
+  getUserConfigPath,
+  readConfigFile,
+  resolveConfig,
+  setConfigValue,
+  unsetConfigValue
+} from '../lib/config.js';
+
+let dir;
+let cwd;
+const originalConfigHome = process.env.XDG_CONFIG_HOME;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brain-config-'));
+  cwd = path.join(dir, 'project');
+  fs.mkdirSync(cwd);
+  process.env.XDG_CONFIG_HOME = path.join(dir, 'config');
+});
+
+afterEach(() => {
+  if (originalConfigHome === undefined) delete process.env.XDG_CONFIG_HOME; else process.env.XDG_CONFIG_HOME = originalConfigHome;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data));
+}
+
+describe('resolveConfig', () => {
+  test('uses the defaults when nothing is set', () => {
+    const { values, sources } = resolveConfig({}, { cwd, env: {} });
+
+    expect(values).toMatchObject({ url: 'ws://localhost:3789', timeout: 5000, showTimestamps: true });
+    expect(new Set(Object.values(sources))).toEqual(new Set(['default']));
+  });
+
+  test('each layer wins over the ones before it', () => {
+    writeJson(getUserConfigPath(), { url: 'ws://user', timeout: 1000, colorTheme: 'ocean', reconnectAttempts: 1 });
+    writeJson(getProjectConfigPath(cwd), { timeout: 2000, colorTheme: 'forest', reconnectAttempts: 2 });
+    const env = { CLI_COLOR_THEME: 'plain', RECONNECT_ATTEMPTS: '3', BRAIN_WS_URL: '' };
+
+    const { values, sources } = resolveConfig({ reconnectAttempts: '4' }, { cwd, env });
+
+    expect(values).toMatchObject({ url: 'ws://user', timeout: 2000, colorTheme: 'plain', reconnectAttempts: 4, reconnectDelay: 2000 });
+    expect(sources).toMatchObject({
+      url: 'user',
+      timeout: 'project',
+      colorTheme: 'env',
+      reconnectAttempts: 'flag',
+      reconnectDelay: 'default'
+    });
+  });
+
+  test('skips unknown keys and flags that were not given', () => {
+    writeJson(getProjectConfigPath(cwd), { notAKey: true });
+
+    const { values, sources } = resolveConfig({ timeout: undefined }, { cwd, env: {} });
+
+    expect(values.notAKey).toBeUndefined();
+    expect(sources.timeout).toBe('default');
+  });
+
+  test('names the file or key that holds a bad value', () => {
+    fs.writeFileSync(getProjectConfigPath(cwd), '{ not json');
+    expect(() => resolveConfig({}, { cwd, env: {} })).toThrow(`Invalid config file ${getProjectConfigPath(cwd)}`);
+
+    fs.rmSync(getProjectConfigPath(cwd));
+    expect(() => resolveConfig({}, { cwd, env: { BRAIN_WS_TIMEOUT: 'soon' } })).toThrow(
+      'Invalid value for timeout: expected a number, got "soon"'
+    );
+  });
+});
+
+describe('coerceValue', () => {
+  test('converts strings to the key type', () => {
+    expect(coerceValue('timeout', '250')).toBe(250);
+    expect(coerceValue('showTimestamps', 'off')).toBe(false);
+    expect(coerceValue('showTimestamps', 'YES')).toBe(true);
+    expect(coerceValue('colorTheme', 42)).toBe('42');
+  });
+
+  test('rejects values that do not fit', () => {
+    expect(() => coerceValue('timeout', '')).toThrow('Invalid value for timeout: expected a number, got ""');
+    expect(() => coerceValue('timeout', 'fast')).toThrow('expected a number, got "fast"');
+    expect(() => coerceValue('showTimestamps', 'maybe')).toThrow(
+      'Invalid value for showTimestamps: expected true or false, got "maybe"'
+    );
+  });
+});
+
+describe('setConfigValue and unsetConfigValue', () => {
+  test('write the user config file by default', () => {
+    expect(setConfigValue('timeout', '7000', { cwd })).toBe(getUserConfigPath());
+    setConfigValue('colorTheme', 'ocean', { cwd });
+
+    expect(readConfigFile(getUserConfigPath())).toEqual({ timeout: 7000, colorTheme: 'ocean' });
+    expect(fs.existsSync(getProjectConfigPath(cwd))).toBe(false);
+
+    expect(unsetConfigValue('timeout', { cwd })).toBe(getUserConfigPath());
+    expect(readConfigFile(getUserConfigPath())).toEqual({ colorTheme: 'ocean' });
+  });
+
+  test('write the project file with project set', () => {
+    setConfigValue('colorTheme', 'ocean', { cwd });
+    expect(setConfigValue('colorTheme', 'forest', { project: true, cwd })).toBe(getProjectConfigPath(cwd));
+    expect(resolveConfig({}, { cwd, env: {} }).values.colorTheme).toBe('forest');
+
+    unsetConfigValue('colorTheme', { project: true, cwd });
+    expect(readConfigFile(getProjectConfigPath(cwd))).toEqual({});
+    expect(resolveConfig({}, { cwd, env: {} }).values.colorTheme).toBe('ocean');
+  });
+
+  test('refuse unknown keys and bad values without touching the file', () => {
+    expect(() => setConfigValue('colour', 'red', { cwd })).toThrow('Unknown config key: colour');
+    expect(() => unsetConfigValue('colour', { project: true, cwd })).toThrow('Unknown config key: colour');
+    expect(() => setConfigValue('reconnectDelay', 'later', { cwd })).toThrow('Invalid value for reconnectDelay');
+
+    expect(fs.existsSync(getUserConfigPath())).toBe(false);
+    expect(fs.existsSync(getProjectConfigPath(cwd))).toBe(false);
+  });
+});
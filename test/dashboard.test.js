@@ -0,0 +1,129 @@
+import { EventEmitter } from 'events';
+
+import { Dashboard, formatEvent, formatServerItem } from '../lib/dashboard.js';
+
+// Records what the dashboard draws instead of drawing it
+function stubWidget() {
+  return {
+    items: [],
+    lines: [],
+    content: '',
+    label: '',
+    selected: 0,
+    setItems(items) { this.items = items; },
+    select(index) { this.selected = index; },
+    setLabel(label) { this.label = label; },
+    setContent(content) { this.content = content; },
+    setScrollPerc() {},
+    log(line) { this.lines.push(line); }
+  };
+}
+
+function setup(servers) {
+  const client = new EventEmitter();
+  client.config = {};
+  client.latency = null;
+  // Set client.servers to an Error to make the next fetch fail
+  client.servers = servers;
+  client.fetchServers = async () => {
+    if (client.servers instanceof Error) throw client.servers;
+    return client.servers;
+  };
+
+  const dashboard = new Dashboard(client);
+  dashboard.screen = { render() {} };
+  dashboard.widgets = Object.fromEntries(
+    ['header', 'servers', 'tools', 'events', 'response'].map(name => [name, stubWidget()])
+  );
+  return dashboard;
+}
+
+// Lets refreshes the dashboard started without awaiting finish
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('formatEvent', () => {
+  test('colors each frame type and escapes what the Brain sent', () => {
+    expect(formatEvent('thinking', { message: 'Reading {bold}notes{/bold}' })).toBe(
+      '{yellow-fg}thinking{/yellow-fg} Reading {open}bold{close}notes{open}/bold{close}'
+    );
+    expect(formatEvent('error', { error: 'Tool failed' })).toBe('{red-fg}error{/red-fg} Tool failed');
+    expect(formatEvent('server_connected', { server: { id: 'math' } })).toBe('{green-fg}server connected{/green-fg} math');
+    expect(formatEvent('server_disconnected', { server_id: 'math' })).toBe('{yellow-fg}server disconnected{/yellow-fg} math');
+    expect(formatEvent('something_new', {})).toBe('something_new');
+  });
+
+  test('shows approval requests and what was decided', () => {
+    expect(formatEvent('tool_approval_request', { server_id: 'files', tool_name: 'delete_file', arguments: { path: 'a.txt' } })).toBe(
+      '{yellow-fg}approval asked{/yellow-fg} files/delete_file {open}"path":"a.txt"{close}'
+    );
+    expect(formatEvent('tool_approval', { server_id: 'files', tool_name: 'delete_file', approved: false, reason: 'Denied by policy' })).toBe(
+      '{red-fg}tool denied{/red-fg} files/delete_file: Denied by policy'
+    );
+    expect(formatEvent('tool_approval', { server_id: 'math', tool_name: 'add', approved: true, reason: 'Allowed by policy' })).toMatch(
+      /^\{green-fg\}tool allowed/
+    );
+  });
+});
+
+test('formatServerItem shows status, id and tool count', () => {
+  expect(formatServerItem({ id: 'math', status: 'connected', tools_count: 2 })).toBe('{green-fg}●{/green-fg} math {gray-fg}(2){/gray-fg}');
+  expect(formatServerItem({ id: 'files', status: 'error' })).toBe('{red-fg}●{/red-fg} files {gray-fg}(0){/gray-fg}');
+});
+
+describe('Dashboard', () => {
+  test('logs the frames worth showing and refreshes servers when they change', async () => {
+    const dashboard = setup([{ id: 'math', status: 'connected', tools_count: 1 }]);
+
+    dashboard.handleMessage({ type: 'thinking', message: 'Adding up' });
+    dashboard.handleMessage({ type: 'query_response', response: 'Not logged' });
+    dashboard.handleMessage({ type: 'server_connected', server: { id: 'math' } });
+    await settle();
+
+    const { events, servers, header } = dashboard.widgets;
+    expect(events.lines).toHaveLength(2);
+    expect(events.lines[0]).toContain('{yellow-fg}thinking{/yellow-fg} Adding up');
+    expect(events.lines[1]).toContain('server connected');
+    expect(servers.items).toEqual(['{green-fg}●{/green-fg} math {gray-fg}(1){/gray-fg}']);
+    expect(header.content).toContain('1 server');
+  });
+
+  test('fills the response pane with chunks only while a query runs', () => {
+    const dashboard = setup([]);
+
+    dashboard.handleMessage({ type: 'query_chunk', chunk: 'ignored' });
+    dashboard.querying = true;
+    dashboard.handleMessage({ type: 'query_chunk', chunk: 'Sunny ' });
+    dashboard.handleMessage({ type: 'query_chunk', chunk: '{today}' });
+
+    expect(dashboard.widgets.response.content).toBe('Sunny {open}today{close}');
+  });
+
+  test('keeps the selection in range and drops the tools of a server that went away', async () => {
+    const dashboard = setup([{ id: 'math', status: 'connected' }, { id: 'files', status: 'connected' }]);
+    await dashboard.refreshServers();
+
+    dashboard.widgets.servers.selected = 1;
+    dashboard.selectedServer = 'files';
+    dashboard.widgets.tools.setItems(['read_file']);
+    dashboard.client.servers = [{ id: 'math', status: 'error' }];
+    await dashboard.refreshServers();
+
+    const { servers, tools } = dashboard.widgets;
+    expect(servers.items).toEqual(['{red-fg}●{/red-fg} math {gray-fg}(0){/gray-fg}']);
+    expect(servers.selected).toBe(0);
+    expect(dashboard.selectedServer).toBeNull();
+    expect(tools.items).toEqual([]);
+    expect(tools.label).toBe(' Tools ');
+  });
+
+  test('logs a failed refresh and keeps the last server list', async () => {
+    const dashboard = setup([{ id: 'math', status: 'connected' }]);
+    await dashboard.refreshServers();
+
+    dashboard.client.servers = new Error('Timed out');
+    await dashboard.refreshServers();
+
+    expect(dashboard.servers.map(server => server.id)).toEqual(['math']);
+    expect(dashboard.widgets.events.lines.at(-1)).toContain('{red-fg}Failed to fetch servers: Timed out{/red-fg}');
+  });
+});
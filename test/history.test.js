@@ -0,0 +1,118 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  askInConversation,
+  createConversation,
+  getConversationsDir,
+  getLatestConversation,
+  listConversations,
+  loadConversation,
+  resolveConversationId,
+  saveConversation
+} from '../lib/history.js';
+
+let home;
+const originalDataHome = process.env.XDG_DATA_HOME;
+
+beforeEach(() => {
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'brain-history-'));
+  process.env.XDG_DATA_HOME = home;
+});
+
+afterEach(() => {
+  process.env.XDG_DATA_HOME = originalDataHome;
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+function writeFile(name, content) {
+  fs.mkdirSync(getConversationsDir(), { recursive: true });
+  fs.writeFileSync(path.join(getConversationsDir(), name), content);
+}
+
+// Stands in for BrainClient: thinks once, then answers with the query it got
+function createClient() {
+  const client = new EventEmitter();
+  client.queries = [];
+  client.sendQuery = async (query, options) => {
+    client.queries.push({ query, conversationId: options.conversationId });
+    client.emit('message', { type: 'thinking', message: `Reading "${query}"` });
+    return `Answer to ${query}`;
+  };
+  return client;
+}
+
+test('lists conversations newest first', () => {
+  saveConversation({ ...createConversation('old'), updated_at: '2024-01-01T00:00:00.000Z' });
+  saveConversation({ ...createConversation('new'), updated_at: '2024-03-01T00:00:00.000Z' });
+
+  expect(listConversations().map(conversation => conversation.title)).toEqual(['new', 'old']);
+  expect(getLatestConversation().title).toBe('new');
+});
+
+test('copes with hand-edited, truncated and older files', () => {
+  saveConversation({ ...createConversation('current'), updated_at: '2024-03-01T00:00:00.000Z' });
+  writeFile('created-only.json', JSON.stringify({ id: 'created-only', title: 'created only', created_at: '2024-02-01T00:00:00.000Z', turns: [] }));
+  writeFile('bare.json', JSON.stringify({ id: 'bare', title: 'no timestamps' }));
+  writeFile('truncated.json', '{"id": "trunc');
+  writeFile('list.json', '[]');
+  fs.mkdirSync(path.join(getConversationsDir(), 'folder.json'));
+
+  const conversations = listConversations();
+
+  expect(conversations.map(conversation => conversation.title)).toEqual(['current', 'created only', 'no timestamps']);
+  expect(conversations[2].turns).toEqual([]);
+});
+
+test('resolves full ids and unambiguous prefixes', () => {
+  saveConversation({ ...createConversation('first'), id: 'abc-111' });
+  saveConversation({ ...createConversation('second'), id: 'abd-222' });
+
+  expect(resolveConversationId('abc-111')).toBe('abc-111');
+  expect(resolveConversationId('abd')).toBe('abd-222');
+  expect(() => resolveConversationId('ab')).toThrow('"ab" matches 2 conversations, use a longer id');
+  expect(() => resolveConversationId('xyz')).toThrow('No conversation matches "xyz"');
+});
+
+test('--continue adds a turn to a file saved without turns', async () => {
+  writeFile('old-1.json', JSON.stringify({ id: 'old-1', title: 'old', created_at: '2024-01-01T00:00:00.000Z' }));
+  const client = createClient();
+
+  const conversation = loadConversation('old');
+  const turn = await askInConversation(client, conversation, 'What  changed?');
+
+  expect(turn).toMatchObject({ query: 'What  changed?', response: 'Answer to What  changed?', thinking: [{ message: 'Reading "What  changed?"' }] });
+  expect(client.queries).toEqual([{ query: 'What  changed?', conversationId: 'old-1' }]);
+  expect(client.listenerCount('message')).toBe(0);
+
+  const saved = loadConversation('old-1');
+  expect(saved.title).toBe('What changed?');
+  expect(saved.turns).toHaveLength(1);
+});
+
+test('--resume continues the latest conversation and records failed turns', async () => {
+  saveConversation({ ...createConversation('older'), id: 'older', updated_at: '2024-01-01T00:00:00.000Z' });
+  saveConversation({
+    ...createConversation('latest'),
+    id: 'latest',
+    updated_at: '2024-02-01T00:00:00.000Z',
+    turns: [{ query: 'Hi', response: 'Hello' }]
+  });
+  const client = createClient();
+
+  const conversation = getLatestConversation();
+  await askInConversation(client, conversation, 'And then?');
+  client.sendQuery = async () => { throw new Error('Brain went away'); };
+  await expect(askInConversation(client, conversation, 'Still there?')).rejects.toThrow('Brain went away');
+
+  const saved = loadConversation('latest');
+  expect(saved.title).toBe('latest');
+  expect(saved.turns.map(turn => [turn.query, turn.response, turn.error])).toEqual([
+    ['Hi', 'Hello', undefined],
+    ['And then?', 'Answer to And then?', undefined],
+    ['Still there?', null, 'Brain went away']
+  ]);
+  expect(getLatestConversation().id).toBe('latest');
+});
@@ -0,0 +1,154 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { BrainClient } from '../lib/brain-client.js';
+import { CONFIG_KEYS } from '../lib/config.js';
+import { Logger, formatBytes, redact, rotateLogFile } from '../lib/logger.js';
+import { MockBrainServer } from '../lib/mock-server.js';
+import { SILENT_OUTPUT } from '../lib/output.js';
+
+const config = Object.fromEntries(
+  Object.entries(CONFIG_KEYS).map(([key, spec]) => [key, spec.default])
+);
+
+function captureStream() {
+  const lines = [];
+  return { lines, write: (text) => lines.push(text) };
+}
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brain-logger-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('redact', () => {
+  test('hides secrets in server configs', () => {
+    const config = {
+      command: 'node',
+      args: ['server.js', '--api-key', 'abc123', '--token=xyz', '--verbose'],
+      env: { GITHUB_TOKEN: 'ghp_secret', DATABASE_URL: 'postgres://me:hunter2@db/app', PATH: '/usr/bin' },
+      headers: { Authorization: 'Bearer abc.def', Accept: 'application/json' }
+    };
+
+    expect(redact(config)).toEqual({
+      command: 'node',
+      args: ['server.js', '--api-key', '[REDACTED]', '--token=[REDACTED]', '--verbose'],
+      env: { GITHUB_TOKEN: '[REDACTED]', DATABASE_URL: 'postgres://me:[REDACTED]@db/app', PATH: '/usr/bin' },
+      headers: { Authorization: '[REDACTED]', Accept: 'application/json' }
+    });
+  });
+
+  test('scrubs strings, including JSON passed on the command line', () => {
+    expect(redact('wss://brain.example?token=abc&x=1')).toBe('wss://brain.example?token=[REDACTED]&x=1');
+    expect(redact('Authorization: Bearer abc.def')).toBe('Authorization: Bearer [REDACTED]');
+    expect(redact('{"env":{"API_KEY":"k"}}')).toBe('{"env":{"API_KEY":"[REDACTED]"}}');
+  });
+
+  test('leaves numbers and other values alone', () => {
+    expect(redact({ max_tokens: 100, ok: true, empty: null })).toEqual({ max_tokens: 100, ok: true, empty: null });
+  });
+});
+
+describe('Logger', () => {
+  test('is silent until debug mode or a log file is configured', () => {
+    const stream = captureStream();
+    new Logger({ stream }).error('boom');
+
+    expect(stream.lines).toEqual([]);
+  });
+
+  test('filters by level, except in debug mode', () => {
+    const file = path.join(dir, 'brain.log');
+    const logger = new Logger({ level: 'warn', file });
+
+    logger.info('skipped');
+    logger.warn('kept', { server_id: 'math' });
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({ level: 'warn', message: 'kept', server_id: 'math' });
+
+    expect(logger.configure({ level: 'warn', debug: true }).enabled('debug')).toBe(true);
+  });
+
+  test('rejects unknown levels', () => {
+    expect(() => new Logger({ level: 'loud' })).toThrow('Unknown log level "loud" (expected error, warn, info, debug)');
+  });
+
+  test('rotates the log file once it is full', () => {
+    const file = path.join(dir, 'brain.log');
+    const logger = new Logger({ level: 'info', file, maxSize: 200 });
+
+    for (let index = 0; index < 12; index++) {
+      logger.info(`message ${index}`);
+    }
+
+    expect(fs.existsSync(`${file}.1`)).toBe(true);
+    expect(fs.existsSync(`${file}.4`)).toBe(false);
+    expect(fs.statSync(file).size).toBeLessThanOrEqual(200);
+    expect(fs.readFileSync(file, 'utf8')).toContain('message 11');
+  });
+
+  test('rotateLogFile keeps a fixed number of backups', () => {
+    const file = path.join(dir, 'brain.log');
+
+    for (let index = 0; index < 5; index++) {
+      fs.writeFileSync(file, String(index));
+      rotateLogFile(file, 2);
+    }
+
+    expect(fs.readFileSync(`${file}.1`, 'utf8')).toBe('4');
+    expect(fs.readFileSync(`${file}.2`, 'utf8')).toBe('3');
+    expect(fs.existsSync(`${file}.3`)).toBe(false);
+  });
+
+  test('formats sizes', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(2048)).toBe('2.0 KB');
+    expect(formatBytes(3 * 1024 * 1024)).toBe('3.0 MB');
+  });
+});
+
+test('logs every frame a client sends and receives, redacted', async () => {
+  const server = new MockBrainServer({ port: 0 });
+  await server.start();
+
+  const file = path.join(dir, 'brain.log');
+  const stream = captureStream();
+  const logger = new Logger({ debug: true, file, stream });
+  const client = new BrainClient({ config, output: SILENT_OUTPUT, reconnectAttempts: 0, logger });
+
+  try {
+    await client.connect(server.url, 2000);
+    await client.connectServer('search', { command: 'node', env: { SEARCH_API_KEY: 'sk-123' } });
+  } finally {
+    await client.disconnect();
+    await server.stop();
+  }
+
+  const frames = fs.readFileSync(file, 'utf8').trim().split('\n')
+    .map(line => JSON.parse(line))
+    .filter(entry => entry.frame);
+
+  expect(frames.map(entry => entry.message)).toEqual([
+    expect.stringMatching(/^→ hello #1 \(\d+ B\)$/),
+    expect.stringMatching(/^← hello #1/),
+    expect.stringMatching(/^→ connect_server #2/),
+    expect.stringMatching(/^← server_connected #2/)
+  ]);
+  expect(frames[2]).toMatchObject({
+    direction: 'out',
+    bytes: expect.any(Number),
+    frame: { server_config: { env: { SEARCH_API_KEY: '[REDACTED]' } } }
+  });
+
+  expect(stream.lines.join('')).toContain('→ connect_server #2');
+  expect(stream.lines.join('')).not.toContain('sk-123');
+  expect(fs.readFileSync(file, 'utf8')).not.toContain('sk-123');
+});
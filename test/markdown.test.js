@@ -0,0 +1,81 @@
+import { MarkdownStream, completedLength, fitColumns, renderMarkdown } from '../lib/markdown.js';
+
+describe('renderMarkdown', () => {
+  test('renders headings, emphasis and links without the markdown syntax', () => {
+    const output = renderMarkdown('# Forecast\n\nIt is **sunny** & `warm`, see [the map](https://example.com/map).', { width: 80 });
+
+    expect(output).toBe([
+      'Forecast',
+      '════════',
+      '',
+      'It is sunny & warm, see the map (https://example.com/map).'
+    ].join('\n'));
+  });
+
+  test('wraps paragraphs and list items to the width', () => {
+    const output = renderMarkdown('- one two three four five six seven\n- short', { width: 20 });
+
+    expect(output).toBe([
+      '• one two three four',
+      '  five six seven',
+      '• short'
+    ].join('\n'));
+    expect(output.split('\n').every(line => line.length <= 20)).toBe(true);
+  });
+
+  test('numbers ordered lists from their start and shows task boxes', () => {
+    expect(renderMarkdown('3. first\n4. second', { width: 80 })).toBe('3. first\n4. second');
+    expect(renderMarkdown('- [x] done\n- [ ] todo', { width: 80 })).toBe('• [x] done\n• [ ] todo');
+  });
+
+  test('draws tables with their column alignment', () => {
+    const output = renderMarkdown('| City | Temp |\n|:--|--:|\n| Oslo | 3 |', { width: 80 });
+
+    expect(output.split('\n')).toEqual([
+      '┌──────┬──────┐',
+      '│ City │ Temp │',
+      '├──────┼──────┤',
+      '│ Oslo │    3 │',
+      '└──────┴──────┘'
+    ]);
+  });
+
+  test('boxes code blocks unless borders are turned off', () => {
+    const markdown = '```js\nconst a = 1;\n```';
+
+    expect(renderMarkdown(markdown, { width: 80 }).split('\n')).toEqual([
+      '╭ js ──────────╮',
+      '│ const a = 1; │',
+      '╰──────────────╯'
+    ]);
+    // Borderless code keeps its lines untouched, so they copy cleanly
+    expect(renderMarkdown(markdown, { width: 80, codeBorders: false })).toBe('─── js\nconst a = 1;\n───');
+  });
+
+  test('prefixes block quotes', () => {
+    expect(renderMarkdown('> careful\n> now', { width: 80 })).toBe('│ careful\n│ now');
+  });
+});
+
+test('fitColumns keeps narrow columns and shares the rest', () => {
+  expect(fitColumns([6, 13, 23], 36)).toEqual([6, 13, 17]);
+  expect(fitColumns([40, 40], 30)).toEqual([15, 15]);
+});
+
+describe('streaming', () => {
+  test('completedLength stops at the last blank line outside a code fence', () => {
+    expect(completedLength('one\n\ntwo')).toBe(5);
+    expect(completedLength('one\n\n```\na\n\nb')).toBe(5);
+    expect(completedLength('one')).toBe(0);
+  });
+
+  test('MarkdownStream renders each block once it is complete', () => {
+    const stream = new MarkdownStream({ width: 80 });
+
+    expect(stream.push('# Tit')).toBe('');
+    expect(stream.push('le\n\nSome **bo')).toBe('Title\n═════\n');
+    expect(stream.push('ld** text')).toBe('');
+    expect(stream.end()).toBe('\nSome bold text\n');
+    expect(stream.end()).toBe('');
+  });
+});
@@ -0,0 +1,92 @@
+import { EventEmitter } from 'events';
+
+import { Notifications } from '../lib/notifications.js';
+import { DEFAULT_THEME, applyTheme } from '../lib/theme.js';
+
+function setup(config = {}) {
+  const client = new EventEmitter();
+  client.config = { notifications: true, notificationThreshold: 1000, notificationSounds: false, ...config };
+  client.expectedDisconnects = new Set();
+
+  const sent = [];
+  const notifier = {
+    notify(options, callback) {
+      sent.push(options);
+      callback();
+    }
+  };
+
+  return { client, sent, notifications: new Notifications(client, { notifier }).attach() };
+}
+
+describe('Notifications', () => {
+  const ci = process.env.CI;
+
+  beforeEach(() => {
+    delete process.env.CI;
+  });
+
+  afterAll(() => {
+    process.env.CI = ci;
+  });
+
+  test('notifies about queries that pass the threshold', () => {
+    const { client, sent } = setup({ notificationSounds: true });
+
+    client.emit('query_finished', { query: 'quick', duration: 200 });
+    client.emit('query_finished', { query: 'slow', duration: 65000 });
+    client.emit('query_finished', { query: 'broken', duration: 2000, error: new Error('Model unavailable') });
+
+    expect(sent).toEqual([
+      { title: '🧠 Brain answered', message: 'slow\nTook 1m 5s', sound: true, wait: false },
+      { title: '🧠 Brain query failed', message: 'broken\nModel unavailable (after 2s)', sound: true, wait: false }
+    ]);
+  });
+
+  test('leaves the emoji out of titles when the theme has none', () => {
+    const { client, sent } = setup();
+
+    applyTheme('plain', { userThemes: {} });
+    try {
+      client.emit('query_finished', { query: 'slow', duration: 5000 });
+    } finally {
+      applyTheme(DEFAULT_THEME, { userThemes: {} });
+    }
+
+    expect(sent[0].title).toBe('Brain answered');
+  });
+
+  test('only notifies about disconnects nobody asked for', () => {
+    const { client, sent } = setup();
+
+    client.expectedDisconnects.add('math');
+    client.emit('message', { type: 'server_disconnected', server_id: 'math' });
+    client.emit('message', { type: 'server_disconnected', server_id: 'files' });
+
+    expect(sent.map(options => options.message)).toEqual(['files disconnected unexpectedly']);
+  });
+
+  test('sends one notification per batch', () => {
+    const { client, sent, notifications } = setup({ notificationThreshold: 0 });
+
+    notifications.startBatch();
+    client.emit('query_finished', { query: 'one', duration: 5000 });
+    client.emit('query_finished', { query: 'two', duration: 5000 });
+    notifications.finishBatch(2, 1);
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0].message).toMatch(/^Batch of 2 queries\n1 of 2 failed/);
+  });
+
+  test('stays quiet when disabled or in CI', async () => {
+    const { client, sent, notifications } = setup({ notifications: false });
+    client.emit('query_finished', { query: 'slow', duration: 65000 });
+
+    client.config.notifications = true;
+    process.env.CI = 'true';
+    client.emit('query_finished', { query: 'slow', duration: 65000 });
+
+    expect(sent).toEqual([]);
+    await expect(notifications.flush()).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,44 @@
+import { negotiate, validateFrame } from '../lib/protocol.js';
+
+describe('validateFrame', () => {
+  test('accepts well-formed frames', () => {
+    expect(validateFrame({ type: 'servers_list', servers: { a: { id: 'a', status: 'connected', tools_count: 1 } } })).toEqual([]);
+    expect(validateFrame({ type: 'tools_list', server_id: 'a', tools: [{ name: 'add', description: null }] })).toEqual([]);
+    expect(validateFrame({ type: 'query_done' })).toEqual([]);
+    expect(validateFrame({ type: 'thinking', message: 'Planning', agent: 'planner', step_id: 1 })).toEqual([]);
+    expect(validateFrame({ type: 'tool_call', call_id: 'c1', tool_name: 'add', arguments: { a: 1 } })).toEqual([]);
+  });
+
+  test('lets unknown frame types through', () => {
+    expect(validateFrame({ type: 'something_new', anything: 1 })).toEqual([]);
+  });
+
+  test('reports every problem with its path', () => {
+    expect(validateFrame({ type: 'tools_list', tools: [{ description: 'x' }, { name: 3 }] })).toEqual([
+      'tools_list.tools[0].name is missing',
+      'tools_list.tools[1].name must be string, got number'
+    ]);
+    expect(validateFrame({ type: 'server_connected', server: null })).toEqual([
+      'server_connected.server must be object, got null'
+    ]);
+    expect(validateFrame({ type: 'tool_call_result', result: 'ok' })).toEqual(['tool_call_result.call_id is missing']);
+  });
+
+  test('rejects frames that are not typed objects', () => {
+    expect(validateFrame([])).toEqual(['frame must be an object, got array']);
+    expect(validateFrame({ error: 'x' })).toEqual(['frame has no "type"']);
+  });
+});
+
+describe('negotiate', () => {
+  test('keeps only capabilities the CLI knows', () => {
+    expect(negotiate({ protocol_version: '1.3', capabilities: ['streaming', 'telepathy'] })).toEqual({
+      version: '1.3',
+      capabilities: ['streaming']
+    });
+  });
+
+  test('rejects another major version', () => {
+    expect(() => negotiate({ protocol_version: '2.0' })).toThrow('Brain speaks protocol 2.0');
+  });
+});
@@ -0,0 +1,108 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { BrainClient } from '../lib/brain-client.js';
+import { CONFIG_KEYS } from '../lib/config.js';
+import { MockBrainServer } from '../lib/mock-server.js';
+import { SILENT_OUTPUT } from '../lib/output.js';
+import { SessionRecorder, loadRecording, parseRecording, replayRecording } from '../lib/recorder.js';
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'streamed-query.jsonl');
+
+const config = Object.fromEntries(
+  Object.entries(CONFIG_KEYS).map(([key, spec]) => [key, spec.default])
+);
+
+function createClient() {
+  return new BrainClient({ config, output: SILENT_OUTPUT, reconnectAttempts: 0 });
+}
+
+function collectMessages(client) {
+  const messages = [];
+  client.on('message', (message) => messages.push(message));
+  return messages;
+}
+
+describe('SessionRecorder', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brain-recorder-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('records frames in both directions with their timing', async () => {
+    const server = new MockBrainServer({ port: 0 });
+    await server.start();
+
+    const file = path.join(dir, 'session.jsonl');
+    const client = createClient();
+    const recorder = new SessionRecorder(file, { argv: ['server', 'list', '--token', 'abc'] }).start(client);
+
+    try {
+      await client.connect(server.url, 2000);
+      await client.connectServer('search', { command: 'node', env: { SEARCH_API_KEY: 'sk-123' } });
+    } finally {
+      recorder.stop();
+      await client.disconnect();
+      await server.stop();
+    }
+
+    const { header, frames } = loadRecording(file);
+
+    expect(header).toMatchObject({ type: 'brain_session', version: 1, argv: ['server', 'list', '--token', '[REDACTED]'] });
+    expect(frames.map(entry => `${entry.direction} ${entry.frame.command || entry.frame.type}`)).toEqual([
+      'out hello', 'in hello', 'out connect_server', 'in server_connected'
+    ]);
+    expect(frames.map(entry => entry.at)).toEqual([...frames.map(entry => entry.at)].sort((a, b) => a - b));
+    expect(frames[2].frame.server_config.env.SEARCH_API_KEY).toBe('[REDACTED]');
+  });
+});
+
+describe('replayRecording', () => {
+  test('feeds a recording back through the client', async () => {
+    const client = createClient();
+    const messages = collectMessages(client);
+
+    expect(await replayRecording(client, loadRecording(FIXTURE), { speed: Infinity })).toBe(9);
+
+    expect(messages.map(message => message.type)).toEqual([
+      'hello', 'status', 'thinking', 'query_chunk', 'query_chunk', 'query_chunk', 'query_chunk', 'query_chunk', 'query_done'
+    ]);
+    expect(messages.filter(message => message.chunk).map(message => message.chunk).join('')).toBe('Sunny with a light breeze.');
+  });
+
+  test('keeps the recorded pauses, scaled by speed', async () => {
+    const recording = loadRecording(FIXTURE);
+    const duration = recording.frames.at(-1).at;
+    const started = Date.now();
+
+    await replayRecording(createClient(), recording, { speed: 4 });
+    expect(Date.now() - started).toBeGreaterThanOrEqual(duration / 4 - 10);
+  });
+
+  test('replays frames that were not valid JSON as malformed', async () => {
+    const client = createClient();
+    const invalid = [];
+    client.on('invalid_frame', (event) => invalid.push(event.problems[0]));
+
+    const recording = parseRecording([
+      '{"type":"brain_session","version":1}',
+      '{"at":0,"direction":"in","raw":"{oops"}'
+    ].join('\n'));
+
+    await replayRecording(client, recording, { speed: Infinity });
+    expect(invalid).toEqual([expect.stringMatching(/^not valid JSON/)]);
+  });
+});
+
+test('parseRecording rejects files that are not recordings', () => {
+  expect(() => parseRecording('{"type":"servers_list"}', 'x.jsonl')).toThrow('x.jsonl is not a Brain session recording');
+  expect(() => parseRecording('{"type":"brain_session","version":9}', 'x.jsonl')).toThrow('recording version 9');
+  expect(() => parseRecording('{"type":"brain_session","version":1}\nnope', 'x.jsonl')).toThrow('Line 2 of x.jsonl is not valid JSON');
+});
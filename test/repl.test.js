@@ -0,0 +1,176 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+
+import { BrainClient } from '../lib/brain-client.js';
+import { CONFIG_KEYS } from '../lib/config.js';
+import { createConversation } from '../lib/history.js';
+import { MockBrainServer } from '../lib/mock-server.js';
+import { SILENT_OUTPUT } from '../lib/output.js';
+import {
+  QueryRepl,
+  conversationMarkdown,
+  joinLines,
+  loadReplHistory,
+  needsContinuation,
+  parseSlashCommand,
+  saveReplHistory
+} from '../lib/repl.js';
+import { sleep } from '../lib/utils.js';
+
+const config = Object.fromEntries(
+  Object.entries(CONFIG_KEYS).map(([key, spec]) => [key, spec.default])
+);
+
+function createClient() {
+  return new BrainClient({ config, output: SILENT_OUTPUT, reconnectAttempts: 0 });
+}
+
+async function waitFor(check, timeout = 2000) {
+  const started = Date.now();
+
+  while (!check()) {
+    if (Date.now() - started > timeout) {
+      throw new Error('Timed out waiting for the REPL');
+    }
+    await sleep(5);
+  }
+}
+
+let dir;
+const originalDataHome = process.env.XDG_DATA_HOME;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brain-repl-'));
+  process.env.XDG_DATA_HOME = dir;
+});
+
+afterEach(() => {
+  process.env.XDG_DATA_HOME = originalDataHome;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('input helpers', () => {
+  test('continue after a trailing backslash or inside a code fence', () => {
+    expect(needsContinuation('first line \\')).toBe(true);
+    expect(needsContinuation('Explain this:\n```js\nconst a = 1;')).toBe(true);
+    expect(needsContinuation('Explain this:\n```js\nconst a = 1;\n```')).toBe(false);
+    expect(joinLines(['first \\', 'second'])).toBe('first \nsecond');
+  });
+
+  test('parseSlashCommand splits the name from its arguments', () => {
+    expect(parseSlashCommand('/Tools math add')).toEqual({ name: '/tools', args: 'math add' });
+    expect(parseSlashCommand('/connect web {"url": "http://x"}')).toEqual({ name: '/connect', args: 'web {"url": "http://x"}' });
+    expect(parseSlashCommand('what is 2/3')).toBeNull();
+  });
+
+  test('history keeps multi-line entries, newest first', () => {
+    const file = path.join(dir, 'nested', 'repl_history');
+    saveReplHistory(file, ['newest', 'two\nlines', 'oldest']);
+
+    expect(fs.readFileSync(file, 'utf8')).toBe('"oldest"\n"two\\nlines"\n"newest"\n');
+    expect(loadReplHistory(file)).toEqual(['newest', 'two\nlines', 'oldest']);
+    expect(loadReplHistory(path.join(dir, 'missing'))).toEqual([]);
+  });
+
+  test('conversationMarkdown writes each turn under its question', () => {
+    const conversation = createConversation('Weather');
+    conversation.turns.push({ query: 'Rain?', response: 'No.' }, { query: 'Snow?', error: 'Timed out' });
+
+    expect(conversationMarkdown(conversation)).toMatch(/## Rain\?\n\nNo\.\n\n## Snow\?\n\n> Error: Timed out\n$/);
+  });
+});
+
+describe('QueryRepl against the mock server', () => {
+  let server;
+  let client;
+  let input;
+  let output;
+  let text;
+  let repl;
+  let finished;
+
+  beforeEach(async () => {
+    server = new MockBrainServer({ port: 0 });
+    await server.start();
+    client = createClient();
+    await client.connect(server.url, 2000);
+
+    input = new PassThrough();
+    output = new PassThrough();
+    text = '';
+    output.on('data', (chunk) => { text += chunk; });
+
+    repl = new QueryRepl(client, createConversation(), {
+      input,
+      output,
+      historyPath: path.join(dir, 'repl_history'),
+      pasteWindow: 5
+    });
+    finished = repl.run();
+  });
+
+  afterEach(async () => {
+    repl.close();
+    await finished;
+    await client.disconnect();
+    await server.stop();
+  });
+
+  test('sends queries as conversation turns and remembers them', async () => {
+    input.write('What is the weather?\n');
+    await waitFor(() => repl.conversation.turns.length === 1 && !repl.controller);
+
+    expect(repl.conversation.turns[0]).toMatchObject({ query: 'What is the weather?', response: 'Sunny with a light breeze.' });
+    expect(loadReplHistory(path.join(dir, 'repl_history'))).toEqual(['What is the weather?']);
+  });
+
+  test('joins pasted lines and open code fences into one query', async () => {
+    input.write('Explain this:\n```js\n');
+    await sleep(20);
+    input.write('const a = 1;\n```\n');
+    await waitFor(() => repl.conversation.turns.length === 1);
+
+    expect(server.received.at(-1).query).toBe('Explain this:\n```js\nconst a = 1;\n```');
+    expect(repl.history).toEqual(['Explain this:\n```js\nconst a = 1;\n```']);
+  });
+
+  test('Ctrl+C cancels the running query and keeps the REPL open', async () => {
+    server.latency = 200;
+    server.queries.push({ match: 'slow', thinking: ['Thinking hard'], response: 'Done' });
+
+    input.write('slow question\n');
+    await waitFor(() => repl.controller);
+    repl.rl.emit('SIGINT');
+    await waitFor(() => repl.conversation.turns.length === 1 && !repl.controller);
+
+    expect(repl.conversation.turns[0].error).toBe('Cancelled query');
+    expect(text).toContain('Query cancelled');
+    expect(repl.closed).toBe(false);
+  });
+
+  test('runs slash commands and exits on /exit', async () => {
+    const file = path.join(dir, 'saved.md');
+
+    input.write('/connect search {"command": "node"}\n');
+    await waitFor(() => server.servers.search);
+    input.write(`/save ${file}\n`);
+    await waitFor(() => fs.existsSync(file));
+    input.write('/nope\n');
+    await waitFor(() => text.includes('/nope failed'));
+    input.write('/exit\n');
+    await finished;
+
+    expect(server.servers.search.config).toEqual({ command: 'node' });
+    expect(text).toContain('unknown command, type /help for the list');
+    expect(repl.closed).toBe(true);
+  });
+
+  test('completes commands, server ids and tool names', async () => {
+    expect(await repl.complete('/to')).toEqual([['/tools '], '/to']);
+    expect(await repl.complete('/tools m')).toEqual([['math '], 'm']);
+    expect(await repl.complete('/tools math a')).toEqual([['add'], 'a']);
+    expect(await repl.complete('plain question')).toEqual([[], 'plain question']);
+  });
+});
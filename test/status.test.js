@@ -0,0 +1,83 @@
+import { StatusMonitor, diffStatus, unhealthyServers } from '../lib/status.js';
+import { EventEmitter } from 'events';
+
+function fakeClient(servers) {
+  const client = new EventEmitter();
+  client.connected = true;
+  client.url = 'ws://brain';
+  client.protocol = { version: '1.0', capabilities: [] };
+  client.fetchStatus = async () => ({ servers: servers(), roundTrip: 12 });
+  return client;
+}
+
+describe('StatusMonitor', () => {
+  test('normalizes uptime and errors from what the Brain reports', async () => {
+    const connectedAt = new Date(Date.now() - 90000).toISOString();
+    const monitor = new StatusMonitor(fakeClient(() => [
+      { id: 'a', status: 'connected', tools_count: 2, connected_at: connectedAt, last_error: 'timeout' },
+      { id: 'b', status: 'error', uptime: 30, errors: [{ message: 'crashed', at: 'then' }] }
+    ]));
+
+    const snapshot = await monitor.refresh();
+
+    expect(snapshot).toMatchObject({ latency: 12, healthy: false, changes: [] });
+    expect(snapshot.servers[0]).toMatchObject({ id: 'a', tools_count: 2, errors: [{ message: 'timeout', at: null }] });
+    expect(snapshot.servers[0].uptime_seconds).toBeGreaterThanOrEqual(89);
+    expect(snapshot.servers[1]).toMatchObject({ uptime_seconds: 30, errors: [{ message: 'crashed', at: 'then' }] });
+    expect(unhealthyServers(snapshot).map(server => server.id)).toEqual(['b']);
+  });
+
+  test('copes with malformed errors and uptimes', async () => {
+    const monitor = new StatusMonitor(fakeClient(() => [
+      { id: 'a', status: 'connected', errors: 'boom', last_error: 'timeout', uptime: '30' },
+      { id: 'b', status: 'error', errors: [null, 'crashed', { error: 'bad frame' }], connected_at: 'yesterday' },
+      { id: 'c', status: 'connected', errors: { message: 'odd' }, connected_at: 12 }
+    ]));
+
+    const snapshot = await monitor.refresh();
+
+    expect(snapshot.servers.map(server => [server.id, server.uptime_seconds, server.errors.map(error => error.message)])).toEqual([
+      ['a', null, ['timeout']],
+      ['b', null, ['crashed', 'bad frame']],
+      ['c', null, []]
+    ]);
+  });
+
+  test('adds errors seen on the wire and reports changes between refreshes', async () => {
+    let servers = [{ id: 'a', status: 'connected', tools_count: 1 }];
+    const client = fakeClient(() => servers);
+    const monitor = new StatusMonitor(client);
+    monitor.start();
+
+    await monitor.refresh();
+    client.emit('message', { type: 'error', server_id: 'a', error: 'tool failed' });
+    servers = [{ id: 'a', status: 'connected', tools_count: 1 }, { id: 'b', status: 'connected', tools_count: 0 }];
+
+    const snapshot = await monitor.refresh();
+    monitor.stop();
+
+    expect(snapshot.servers[0].errors.map(error => error.message)).toEqual(['tool failed']);
+    expect(snapshot.changes).toEqual([
+      { id: 'a', change: 'errors', from: 0, to: 1 },
+      { id: 'b', change: 'added', to: 'connected' }
+    ]);
+  });
+});
+
+describe('diffStatus', () => {
+  const snapshot = (...servers) => ({ servers: servers.map(server => ({ errors: [], tools_count: 0, ...server })) });
+
+  test('reports status changes and removed servers', () => {
+    expect(diffStatus(
+      snapshot({ id: 'a', status: 'connected' }, { id: 'b', status: 'connected' }),
+      snapshot({ id: 'a', status: 'disconnected' })
+    )).toEqual([
+      { id: 'a', change: 'status', from: 'connected', to: 'disconnected' },
+      { id: 'b', change: 'removed', from: 'connected' }
+    ]);
+  });
+
+  test('has nothing to compare on the first refresh', () => {
+    expect(diffStatus(null, snapshot({ id: 'a', status: 'connected' }))).toEqual([]);
+  });
+});
@@ -0,0 +1,76 @@
+import { BUILT_IN_THEMES, DEFAULT_THEME, applyTheme, colorDisabled, listThemes, resolveTheme, theme } from '../lib/theme.js';
+
+const userThemes = {
+  neon: { extends: 'ocean', description: 'Loud', colors: { primary: 'bold.magentaBright', muted: '#888888' } },
+  quiet: { colors: { accent: 'gray' }, emoji: false },
+  bad: { colors: { primary: 'sparkly' } },
+  typo: { colors: { headline: 'red' } },
+  loop: { extends: 'loop' }
+};
+
+afterEach(() => {
+  applyTheme(DEFAULT_THEME, { color: true, userThemes: {} });
+});
+
+describe('resolveTheme', () => {
+  test('lets user themes extend others and override some colors', () => {
+    const neon = resolveTheme('neon', userThemes);
+
+    expect(neon.colors).toEqual({ ...BUILT_IN_THEMES.ocean.colors, primary: 'bold.magentaBright', muted: '#888888' });
+    expect(neon.gradient).toBe('cristal');
+  });
+
+  test('starts user themes without extends from the default', () => {
+    const quiet = resolveTheme('quiet', userThemes);
+
+    expect(quiet.colors).toEqual({ ...BUILT_IN_THEMES[DEFAULT_THEME].colors, accent: 'gray' });
+    expect(quiet.emoji).toBe(false);
+  });
+
+  test('rejects unknown themes, roles and colors', () => {
+    expect(() => resolveTheme('nope', userThemes)).toThrow('Unknown theme "nope" (available: rainbow, ocean');
+    expect(() => resolveTheme('bad', userThemes)).toThrow('Theme "bad" has an invalid primary color: "sparkly"');
+    expect(() => resolveTheme('typo', userThemes)).toThrow('Theme "typo" sets unknown color "headline"');
+    expect(() => resolveTheme('loop', userThemes)).toThrow('Theme "loop" extends itself');
+  });
+
+  test('lists built-in themes before user themes', () => {
+    expect(listThemes(userThemes).map(item => item.name)).toEqual([
+      'rainbow', 'ocean', 'high-contrast', 'plain', 'neon', 'quiet', 'bad', 'typo', 'loop'
+    ]);
+  });
+});
+
+describe('applyTheme', () => {
+  test('paints roles with the theme colors', () => {
+    applyTheme('neon', { color: true, userThemes });
+
+    expect(theme.name).toBe('neon');
+    expect(theme.color).toBe(true);
+    expect(theme.tableStyle()).toEqual({ head: [], border: ['brightBlue'] });
+    expect(theme.borderColor('muted')).toBe('#888888');
+  });
+
+  test('the plain theme has no color and spells icons out', () => {
+    applyTheme('plain', { color: true, userThemes: {} });
+
+    expect(theme.success(`${theme.icon('success')}done`)).toBe('[ok] done');
+    expect(theme.icon('brain')).toBe('');
+    expect(theme.gradient('banner')).toBe('banner');
+    expect(theme.tableStyle()).toEqual({ head: [], border: [] });
+  });
+
+  test('turning color off keeps emoji', () => {
+    applyTheme('rainbow', { color: false, userThemes: {} });
+
+    expect(theme.error('x')).toBe('x');
+    expect(theme.icon('success')).toBe('✅ ');
+    expect(theme.borderColor('error')).toBeUndefined();
+  });
+});
+
+test('NO_COLOR turns color off when set to anything', () => {
+  expect(colorDisabled({ NO_COLOR: '1' })).toBe(true);
+  expect(colorDisabled({ NO_COLOR: '' })).toBe(false);
+  expect(colorDisabled({})).toBe(false);
+});
@@ -0,0 +1,155 @@
+import {
+  buildArgumentPrompts,
+  coerceArgument,
+  compactArguments,
+  schemaTree,
+  searchTools,
+  toolExamples,
+  toolResultText,
+  validateArguments
+} from '../lib/tools.js';
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    path: { type: 'string', description: 'File path' },
+    depth: { type: 'integer', minimum: 0, maximum: 5 },
+    recursive: { type: 'boolean' },
+    format: { enum: ['json', 'text'] },
+    tags: { type: 'array', items: { type: 'string' } },
+    options: {
+      type: 'object',
+      properties: { limit: { type: 'number' }, follow: { type: 'boolean' } },
+      required: ['limit'],
+      additionalProperties: false
+    }
+  },
+  required: ['path', 'depth']
+};
+
+describe('coerceArgument', () => {
+  test('turns prompt input into the schema type', () => {
+    expect(coerceArgument({ type: 'number' }, '2.5')).toBe(2.5);
+    expect(coerceArgument({ type: 'boolean' }, 'yes')).toBe(true);
+    expect(coerceArgument({ type: 'array', items: { type: 'integer' } }, '1, 2')).toEqual([1, 2]);
+    expect(coerceArgument({ type: 'array' }, '["a","b"]')).toEqual(['a', 'b']);
+    expect(coerceArgument({ type: 'object' }, '{"a":1}')).toEqual({ a: 1 });
+    expect(coerceArgument({ type: ['string', 'null'] }, 'text')).toBe('text');
+    expect(coerceArgument({ type: 'string' }, '')).toBeUndefined();
+  });
+
+  test('rejects input that cannot be converted', () => {
+    expect(() => coerceArgument({ type: 'number' }, 'many')).toThrow('expected a number, got "many"');
+    expect(() => coerceArgument({ type: 'boolean' }, 'maybe')).toThrow('expected true or false, got "maybe"');
+  });
+});
+
+describe('validateArguments', () => {
+  test('accepts valid arguments', () => {
+    expect(validateArguments(SCHEMA, {
+      path: 'a.txt',
+      depth: 2,
+      format: 'json',
+      tags: ['x'],
+      options: { limit: 3, follow: true }
+    })).toEqual([]);
+  });
+
+  test('reports missing, mistyped and out of range parameters', () => {
+    expect(validateArguments(SCHEMA, { depth: 9, recursive: 'yes', format: 'xml' })).toEqual([
+      'path is required',
+      'depth must be <= 5',
+      'recursive must be true or false',
+      'format must be one of json, text'
+    ]);
+    expect(validateArguments(SCHEMA, [])).toEqual(['arguments must be a JSON object']);
+  });
+
+  test('checks array items and nested objects', () => {
+    expect(validateArguments(SCHEMA, {
+      path: 'a.txt',
+      depth: 1,
+      tags: ['x', 2],
+      options: { follow: 'no', extra: 1 }
+    })).toEqual([
+      'tags[1] must be a string',
+      'options.limit is required',
+      'options.follow must be true or false',
+      'options.extra is not a known parameter'
+    ]);
+  });
+});
+
+describe('buildArgumentPrompts', () => {
+  const prompts = Object.fromEntries(buildArgumentPrompts(SCHEMA).map(prompt => [prompt.name, prompt]));
+
+  test('picks a question type per parameter', () => {
+    expect(prompts.path).toMatchObject({ type: 'input', message: 'path - File path:' });
+    expect(prompts.format.type).toBe('list');
+    expect(prompts.tags.message).toBe('tags (optional): [comma-separated or JSON]');
+  });
+
+  test('optional booleans can be left out', () => {
+    expect(prompts.recursive.type).toBe('list');
+    expect(prompts.recursive.choices.map(choice => choice.name)).toEqual(['(skip)', 'true', 'false']);
+    expect(compactArguments({ path: 'a', recursive: prompts.recursive.default })).toEqual({ path: 'a' });
+
+    const required = buildArgumentPrompts({ properties: { force: { type: 'boolean' } }, required: ['force'] });
+    expect(required[0]).toMatchObject({ type: 'confirm', default: false });
+  });
+
+  test('filters input to the schema type and validates the result', () => {
+    expect(prompts.depth.filter('3')).toBe(3);
+    expect(prompts.depth.validate(prompts.depth.filter('deep'))).toBe('depth must be an integer');
+    expect(prompts.depth.validate(undefined)).toBe('depth is required');
+    expect(prompts.tags.validate(undefined)).toBe(true);
+  });
+});
+
+describe('searchTools', () => {
+  const entries = [
+    { server_id: 'files', tool: { name: 'read_file', description: 'Read a file', inputSchema: { properties: { path: {} } } } },
+    { server_id: 'files', tool: { name: 'read', description: 'Read anything' } },
+    { server_id: 'math', tool: { name: 'add', description: 'Add numbers' } }
+  ];
+
+  test('ranks exact names over partial ones and skips tools missing a term', () => {
+    const results = searchTools(entries, 'read');
+    expect(results.map(result => [result.tool.name, result.score])).toEqual([['read', 110], ['read_file', 50]]);
+    expect(results[1].matched).toEqual(['name', 'description']);
+  });
+
+  test('every term has to match somewhere', () => {
+    expect(searchTools(entries, 'read path').map(result => result.tool.name)).toEqual(['read_file']);
+    expect(searchTools(entries, 'subtract')).toEqual([]);
+  });
+});
+
+test('schemaTree draws nested parameters', () => {
+  const tree = schemaTree({
+    properties: {
+      path: { type: 'string' },
+      options: { type: 'object', properties: { limit: { type: 'number', default: 10 } } }
+    },
+    required: ['path']
+  });
+
+  expect(tree).toEqual([
+    { prefix: '├─ ', name: 'path', required: true, details: 'string', description: '' },
+    { prefix: '└─ ', name: 'options', required: false, details: 'object', description: '' },
+    { prefix: '   └─ ', name: 'limit', required: false, details: 'number, default: 10', description: '' }
+  ]);
+});
+
+test('toolExamples gives a minimal call and a full one', () => {
+  expect(toolExamples({ properties: { a: { type: 'number' }, note: { type: 'string' } }, required: ['a'] })).toEqual([
+    { a: 1 },
+    { a: 1, note: '<note>' }
+  ]);
+});
+
+test('toolResultText reads MCP content', () => {
+  expect(toolResultText([{ type: 'text', text: 'one' }, { type: 'text', text: 'two' }])).toBe('one\ntwo');
+  expect(toolResultText({ content: [{ type: 'text', text: 'wrapped' }] })).toBe('wrapped');
+  expect(toolResultText({ ok: true })).toBe('{\n  "ok": true\n}');
+});
@@ -0,0 +1,153 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { BrainClient } from '../lib/brain-client.js';
+import { CONFIG_KEYS } from '../lib/config.js';
+import { MockBrainServer } from '../lib/mock-server.js';
+import { SILENT_OUTPUT } from '../lib/output.js';
+import { QueryTrace, renderTrace, saveTrace } from '../lib/trace.js';
+
+const config = Object.fromEntries(
+  Object.entries(CONFIG_KEYS).map(([key, spec]) => [key, spec.default])
+);
+
+// A trace on a fake clock; tick(ms) moves time forward
+function createTrace() {
+  let now = 1000;
+  const trace = new QueryTrace('Plan a trip', { now: () => now });
+  return { trace, tick: (ms) => { now += ms; } };
+}
+
+describe('QueryTrace', () => {
+  test('groups steps by agent and times them until the agent moves on', () => {
+    const { trace, tick } = createTrace();
+
+    tick(100);
+    trace.record('thinking', { agent: 'planner', message: 'Splitting the task' });
+    tick(200);
+    trace.record('thinking', { agent: 'planner', message: 'Picking dates' });
+    trace.record('thinking', { agent: 'booker', message: 'Booking', step_id: 7 });
+    tick(300);
+    trace.finish();
+
+    const json = trace.toJSON();
+    expect(json.duration_ms).toBe(600);
+    expect(json.agents.map(agent => [agent.name, agent.started_ms, agent.duration_ms])).toEqual([
+      ['planner', 100, 500],
+      ['booker', 300, 300]
+    ]);
+    expect(json.agents[0].steps.map(step => [step.message, step.duration_ms])).toEqual([
+      ['Splitting the task', 200],
+      ['Picking dates', 300]
+    ]);
+    expect(json.agents[1].steps[0].id).toBe(7);
+  });
+
+  test('hangs tool calls under their step and matches results by call id', () => {
+    const { trace, tick } = createTrace();
+
+    trace.record('thinking', { message: 'Checking flights', step_id: 's1' });
+    trace.record('thinking', { message: 'Checking hotels', step_id: 's2' });
+    trace.record('tool_call', { call_id: 'c1', step_id: 's1', server_id: 'travel', tool_name: 'flights', arguments: { to: 'OSL' } });
+    trace.record('tool_call', { call_id: 'c2', server_id: 'travel', tool_name: 'hotels' });
+    tick(250);
+    trace.record('tool_call_result', { call_id: 'c1', result: 'SK123' });
+    trace.record('tool_call_result', { call_id: 'c2', result: 'Sold out', is_error: true });
+    trace.record('tool_call_result', { call_id: 'unknown', result: 'ignored' });
+    trace.finish();
+
+    const [agent] = trace.toJSON().agents;
+    expect(agent.name).toBe('brain');
+    expect(agent.steps[0].tool_calls).toEqual([
+      expect.objectContaining({ id: 'c1', tool_name: 'flights', arguments: { to: 'OSL' }, duration_ms: 250, result: 'SK123', is_error: false })
+    ]);
+    // Without a step id a call belongs to the agent's latest step
+    expect(agent.steps[1].tool_calls[0]).toMatchObject({ id: 'c2', is_error: true });
+    expect(trace.toJSON().summary).toEqual({ agents: 1, steps: 2, tool_calls: 2, failed_tool_calls: 1 });
+  });
+
+  test('redacts secrets in tool arguments and results', () => {
+    const { trace } = createTrace();
+    trace.record('tool_call', { call_id: 'c1', tool_name: 'fetch', arguments: { url: 'https://api.example.com/?token=abc123', api_key: 'sk-live' } });
+    trace.record('tool_call_result', { call_id: 'c1', result: { body: 'ok', headers: { Authorization: 'Bearer abc123' } } });
+
+    const [call] = trace.toJSON().agents[0].steps[0].tool_calls;
+    expect(call.arguments).toEqual({ url: 'https://api.example.com/?token=[REDACTED]', api_key: '[REDACTED]' });
+    expect(call.result).toEqual({ body: 'ok', headers: { Authorization: '[REDACTED]' } });
+    expect(JSON.stringify(call)).not.toContain('abc123');
+  });
+
+  test('starts a step for tool calls that arrive before any thinking', () => {
+    const { trace } = createTrace();
+    trace.record('tool_call', { call_id: 1, agent: 'coder', tool_name: 'run' });
+
+    expect(trace.toJSON().agents[0].steps[0]).toMatchObject({ message: 'Calling run', tool_calls: [{ id: 1 }] });
+  });
+
+  test('keeps the error of a failed query', () => {
+    const { trace } = createTrace();
+    trace.finish({ error: new Error('Timed out') });
+
+    expect(trace.empty).toBe(true);
+    expect(trace.toJSON()).toMatchObject({ error: 'Timed out', agents: [] });
+  });
+});
+
+test('renderTrace draws the agent → step → tool call tree with durations', () => {
+  const { trace, tick } = createTrace();
+
+  trace.record('thinking', { agent: 'planner', message: 'Splitting the task' });
+  tick(1500);
+  trace.record('thinking', { agent: 'booker', message: 'Booking' });
+  trace.record('tool_call', { call_id: 'c1', agent: 'booker', server_id: 'travel', tool_name: 'book' });
+  tick(40);
+  trace.finish();
+
+  expect(renderTrace(trace).split('\n')).toEqual([
+    '🧭 Trace · 2 agents · 2 steps · 1 tool call · 1.5s',
+    '├─ planner (1.5s)',
+    '│  └─ Splitting the task (1.5s)',
+    '└─ booker (40ms)',
+    '   └─ Booking (40ms)',
+    '      └─ 🔧 travel/book (running) no result'
+  ]);
+});
+
+test('saveTrace writes the trace as JSON', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brain-trace-'));
+  const { trace } = createTrace();
+
+  try {
+    saveTrace(path.join(dir, 'trace.json'), trace.finish());
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'trace.json'), 'utf8'))).toMatchObject({ type: 'query_trace', query: 'Plan a trip' });
+    expect(() => saveTrace(path.join(dir, 'missing', 'trace.json'), trace)).toThrow('Cannot write trace');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the client traces the agents and tool calls of a query', async () => {
+  const server = new MockBrainServer({ port: 0 });
+  await server.start();
+  const client = new BrainClient({ config, output: SILENT_OUTPUT, reconnectAttempts: 0 });
+  const trace = new QueryTrace('please add up');
+
+  try {
+    await client.connect(server.url, 2000);
+    expect(await client.sendQuery('please add up', { trace })).toBe('2 + 3 = 5');
+  } finally {
+    await client.disconnect();
+    await server.stop();
+  }
+
+  const json = trace.toJSON();
+  expect(json.agents.map(agent => agent.name)).toEqual(['planner', 'calculator']);
+  expect(json.agents[1].steps[0].tool_calls[0]).toMatchObject({
+    server_id: 'math',
+    tool_name: 'add',
+    arguments: { a: 2, b: 3 },
+    is_error: false
+  });
+  expect(json.duration_ms).not.toBeNull();
+});